@@ -0,0 +1,178 @@
+// Concurrency check for the booking inventory path.
+//
+// Creates a throwaway event and a batch of users, fires one booking request per
+// user at the same moment, then checks that the event never sold more tickets
+// than it had and that available_tickets agrees with the bookings that hold it.
+// A second event then takes SAME_USER_REQUESTS simultaneous requests from one
+// user, of which exactly one may succeed.
+//
+//   BOOKING_URL=http://localhost:3003 DB_HOST=localhost node scripts/load-test.js
+//
+// Each buyer books with an access token signed here, so JWT_SECRET has to match
+// the booking service's.
+//
+// CAPACITY, BUYERS and TICKETS_PER_BOOKING size the run; KEEP_DATA=1 leaves the
+// test rows in place for inspection.
+
+const mysql = require('mysql2/promise');
+const jwt = require('jsonwebtoken');
+
+const BOOKING_URL = process.env.BOOKING_URL || 'http://localhost:3003';
+const CAPACITY = parseInt(process.env.CAPACITY || '100', 10);
+const BUYERS = parseInt(process.env.BUYERS || '300', 10);
+const TICKETS_PER_BOOKING = parseInt(process.env.TICKETS_PER_BOOKING || '1', 10);
+const SAME_USER_REQUESTS = parseInt(process.env.SAME_USER_REQUESTS || '10', 10);
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+async function createEvent(pool, title, capacity) {
+  const [event] = await pool.execute(
+    `INSERT INTO events (title, description, venue, event_date, total_tickets, available_tickets, price)
+     VALUES (?, 'Load test event', 'Load Test Venue', DATE_ADD(NOW(), INTERVAL 30 DAY), ?, ?, 10.00)`,
+    [title, capacity, capacity]
+  );
+  return event.insertId;
+}
+
+async function setup(pool, runId) {
+  const eventId = await createEvent(pool, `Load test ${runId}`, CAPACITY);
+
+  const userIds = [];
+  for (let i = 0; i < BUYERS; i++) {
+    const [user] = await pool.execute(
+      'INSERT INTO users (email, password, first_name, last_name) VALUES (?, ?, ?, ?)',
+      [`loadtest-${runId}-${i}@example.com`, 'not-a-real-hash', 'Load', `Tester ${i}`]
+    );
+    userIds.push(user.insertId);
+  }
+
+  return { eventId, userIds };
+}
+
+async function book(userId, eventId) {
+  const token = jwt.sign({ userId, email: `loadtest-${userId}@example.com`, role: 'customer' }, JWT_SECRET, { expiresIn: '10m' });
+
+  try {
+    const response = await fetch(`${BOOKING_URL}/api/bookings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ eventId, ticketCount: TICKETS_PER_BOOKING })
+    });
+    return response.status;
+  } catch (error) {
+    return 'network error';
+  }
+}
+
+async function verify(pool, eventId) {
+  const [rows] = await pool.execute(
+    `SELECT e.total_tickets, e.available_tickets,
+            COALESCE(SUM(CASE WHEN b.status IN ('pending', 'confirmed') THEN b.ticket_count END), 0) AS held
+     FROM events e
+     LEFT JOIN bookings b ON b.event_id = e.id
+     WHERE e.id = ?
+     GROUP BY e.id`,
+    [eventId]
+  );
+  const { total_tickets: total, available_tickets: available } = rows[0];
+  return { total, available, held: Number(rows[0].held) };
+}
+
+function countStatuses(statuses) {
+  const tally = {};
+  for (const status of statuses) {
+    tally[status] = (tally[status] || 0) + 1;
+  }
+  return tally;
+}
+
+// One user, many tabs: every request races the same "one booking per event" check
+async function sameUserRun(pool, runId, userId) {
+  const eventId = await createEvent(pool, `Load test ${runId} (one user)`, CAPACITY);
+  const requests = Array.from({ length: SAME_USER_REQUESTS }, () => book(userId, eventId));
+  const tally = countStatuses(await Promise.all(requests));
+
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) AS count FROM bookings WHERE user_id = ? AND event_id = ? AND status IN ("pending", "confirmed")',
+    [userId, eventId]
+  );
+
+  return { eventId, tally, activeBookings: rows[0].count };
+}
+
+async function cleanup(pool, eventId, userIds = null) {
+  const bookingIds = 'SELECT id FROM bookings WHERE event_id = ?';
+  await pool.execute(`DELETE FROM booking_history WHERE booking_id IN (${bookingIds})`, [eventId]);
+  await pool.execute(`DELETE FROM payments WHERE booking_id IN (${bookingIds})`, [eventId]);
+  await pool.execute('DELETE FROM waitlist_entries WHERE event_id = ?', [eventId]);
+  await pool.execute('DELETE FROM bookings WHERE event_id = ?', [eventId]);
+  await pool.execute('DELETE FROM events WHERE id = ?', [eventId]);
+  if (userIds) {
+    await pool.query('DELETE FROM users WHERE id IN (?)', [userIds]);
+  }
+}
+
+async function main() {
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'mysql-service',
+    user: process.env.DB_USER || 'ticketuser',
+    password: process.env.DB_PASSWORD || 'ticketpassword',
+    database: process.env.DB_NAME || 'ticket_booking',
+    connectionLimit: 5
+  });
+
+  const runId = Date.now();
+  const { eventId, userIds } = await setup(pool, runId);
+  console.log(`Event ${eventId}: ${CAPACITY} tickets, ${BUYERS} buyers x ${TICKETS_PER_BOOKING} ticket(s)`);
+
+  const started = Date.now();
+  const statuses = await Promise.all(userIds.map((userId) => book(userId, eventId)));
+  const elapsed = Date.now() - started;
+
+  const tally = countStatuses(statuses);
+
+  const { total, available, held } = await verify(pool, eventId);
+  const sold = total - available;
+  const expectedSuccesses = Math.min(BUYERS, Math.floor(CAPACITY / TICKETS_PER_BOOKING));
+
+  console.log(`Finished ${BUYERS} requests in ${elapsed}ms`);
+  console.log('Responses by status:', tally);
+  console.log(`Sold ${sold} of ${total} (bookings hold ${held}), ${tally[201] || 0} of ${expectedSuccesses} possible bookings succeeded`);
+
+  const failures = [];
+  if (available < 0 || sold > total) {
+    failures.push('event was oversold');
+  }
+  if (sold !== held) {
+    failures.push(`available_tickets is out of step with bookings (${sold} taken, ${held} booked)`);
+  }
+  if (tally[429]) {
+    failures.push(`${tally[429]} requests were rejected as contended`);
+  }
+
+  const sameUser = await sameUserRun(pool, runId, userIds[0]);
+  console.log(`One user sent ${SAME_USER_REQUESTS} requests at once:`, sameUser.tally);
+  if (sameUser.activeBookings !== 1 || sameUser.tally[201] !== 1) {
+    failures.push(`one user ended up with ${sameUser.activeBookings} active bookings for the same event`);
+  }
+
+  if (process.env.KEEP_DATA === '1') {
+    console.log(`Leaving events ${eventId} and ${sameUser.eventId} and their users in place`);
+  } else {
+    await cleanup(pool, sameUser.eventId);
+    await cleanup(pool, eventId, userIds);
+  }
+
+  await pool.end();
+
+  if (failures.length > 0) {
+    console.error('FAIL:', failures.join('; '));
+    process.exit(1);
+  }
+
+  console.log('PASS');
+}
+
+main().catch((error) => {
+  console.error('Load test error:', error);
+  process.exit(1);
+});
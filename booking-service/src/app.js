@@ -5,11 +5,29 @@ const amqp = require('amqplib');
 const { v4: uuidv4 } = require('uuid');
 const helmet = require('helmet');
 const cors = require('cors');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
 require('dotenv').config();
+const { getTransition, rejectionMessage, applyTransition, recordCreation, recordChange, requestRefund } = require('./bookingStateMachine');
+const { idempotent } = require('./idempotency');
+const { signTicketToken, verifyTicketToken, issueTickets, voidTickets } = require('./tickets');
+const { buildEvent, buildCalendar, formatLocation } = require('./ics');
+const { quotePrice, roundMoney } = require('./pricing');
+const { verifyToken, requireRole, canActFor, requireService } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
+// Confirmed bookings cannot be cancelled this close to the event
+const CANCELLATION_CUTOFF_HOURS = parseInt(process.env.CANCELLATION_CUTOFF_HOURS || '24', 10);
+
+// Expiry reaper: how often it sweeps and how many bookings it expires per sweep
+const EXPIRY_REAPER_INTERVAL_MS = parseInt(process.env.EXPIRY_REAPER_INTERVAL_MS || '30000', 10);
+const EXPIRY_REAPER_BATCH_SIZE = parseInt(process.env.EXPIRY_REAPER_BATCH_SIZE || '100', 10);
+
+// How long a waitlisted user has to turn an offer into a booking
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '30', 10);
+
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -25,7 +43,7 @@ const pool = mysql.createPool({
   timeout: 60000
 });
 
-// Redis client for distributed locking
+// Redis client (reaper leader election and event cache invalidation)
 const redisClient = redis.createClient({
   socket: {
     host: process.env.REDIS_HOST || 'redis-service',
@@ -48,6 +66,10 @@ async function initRabbitMQ() {
     await rabbitChannel.assertQueue('booking_notifications', { durable: true });
     await rabbitChannel.assertQueue('payment_processing', { durable: true });
     await rabbitChannel.assertQueue('booking_confirmations', { durable: true });
+    await rabbitChannel.assertQueue('refund_requests', { durable: true });
+    await rabbitChannel.assertQueue('event_cancellations', { durable: true });
+    
+    await rabbitChannel.consume('event_cancellations', handleEventCancellationMessage, { noAck: false });
     
     console.log('RabbitMQ connected and queues declared');
   } catch (error) {
@@ -74,44 +96,446 @@ app.get('/ready', async (req, res) => {
   }
 });
 
-// Distributed lock helper function
-async function acquireLock(key, ttl = 30) {
+// Inventory - there is no per-event lock. Tickets are taken with a conditional
+// UPDATE that only succeeds while enough remain, so concurrent buyers simply
+// wait their turn on the event row for the instant of the decrement.
+// Transactions lock rows in this order to stay clear of deadlocks:
+// user -> booking -> seats / ticket_types -> access_codes -> events -> waitlist_entries.
+
+// Serialises a user's own requests, so checks such as "one active booking per
+// event" cannot be passed by two requests at once. Returns false if there is
+// no such user.
+async function lockUser(connection, userId) {
+  const [users] = await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+  return users.length > 0;
+}
+
+// Waitlist changes touch the event and its queue together; taking the event row
+// first keeps them in the lock order above
+async function lockEvent(connection, eventId) {
+  await connection.execute('SELECT id FROM events WHERE id = ? FOR UPDATE', [eventId]);
+}
+
+// event-service caches event details and listing pages. Call after committing
+// anything that moves an event's availability; the key names are shared with
+// event-service/src/app.js.
+const EVENT_LIST_VERSION_KEY = 'events:list:version';
+
+async function invalidateEventCache(eventId) {
+  if (!redisClient.isReady) return;
+
   try {
-    const lockValue = uuidv4();
-    const result = await redisClient.set(key, lockValue, {
-      PX: ttl * 1000,
-      NX: true
-    });
-    return result === 'OK' ? lockValue : null;
+    await redisClient.multi()
+      .del(`events:detail:${eventId}`)
+      .incr(EVENT_LIST_VERSION_KEY)
+      .exec();
   } catch (error) {
-    console.error('Lock acquisition error:', error);
-    return null;
+    console.error('Event cache invalidation error:', error);
+  }
+}
+
+// Returns false (and changes nothing) if fewer than ticketCount tickets are left
+// or the event has stopped selling since it was read (archived or cancelled)
+async function takeTickets(connection, eventId, ticketCount) {
+  const [result] = await connection.execute(
+    'UPDATE events SET available_tickets = available_tickets - ?, updated_at = NOW() WHERE id = ? AND status = "active" AND available_tickets >= ?',
+    [ticketCount, eventId, ticketCount]
+  );
+
+  return result.affectedRows === 1;
+}
+
+// Moves a locked booking row out of pending/confirmed and gives its tickets back.
+// Returns the waitlist offers made from those tickets, to be announced after commit.
+async function releaseBooking(connection, booking, action, details) {
+  await applyTransition(connection, booking, action, details);
+
+  // A top-up still waiting for payment holds extra tickets of its own
+  const [topUps] = await connection.execute(
+    'SELECT from_ticket_count, to_ticket_count FROM booking_adjustments WHERE booking_id = ? AND kind = "top_up" AND status = "pending" FOR UPDATE',
+    [booking.id]
+  );
+  const heldByTopUps = topUps.reduce((sum, topUp) => sum + topUp.to_ticket_count - topUp.from_ticket_count, 0);
+
+  await connection.execute(
+    'UPDATE booking_adjustments SET status = "failed", updated_at = NOW() WHERE booking_id = ? AND kind = "top_up" AND status = "pending"',
+    [booking.id]
+  );
+
+  await connection.execute(
+    'UPDATE booking_transfers SET status = "cancelled", responded_at = NOW() WHERE booking_id = ? AND status = "pending"',
+    [booking.id]
+  );
+
+  await voidTickets(connection, booking.id);
+
+  await connection.execute(
+    'UPDATE seats SET status = "available", booking_id = NULL WHERE booking_id = ?',
+    [booking.id]
+  );
+
+  await connection.execute(
+    `UPDATE ticket_types tt
+     JOIN booking_items bi ON bi.ticket_type_id = tt.id
+     SET tt.sold = tt.sold - bi.quantity
+     WHERE bi.booking_id = ?`,
+    [booking.id]
+  );
+
+  // A presale booking that was never paid for gives its access code use back
+  if (booking.payment_status !== 'completed') {
+    await connection.execute(
+      `UPDATE access_codes ac
+       JOIN bookings b ON b.access_code_id = ac.id
+       SET ac.uses = ac.uses - 1
+       WHERE b.id = ? AND ac.uses > 0`,
+      [booking.id]
+    );
+  }
+
+  await connection.execute(
+    'UPDATE events SET available_tickets = available_tickets + ?, updated_at = NOW() WHERE id = ?',
+    [booking.ticket_count + heldByTopUps, booking.event_id]
+  );
+
+  return offerToWaitlist(connection, booking.event_id);
+}
+
+// Hands freed tickets to the waitlist in join order before anyone else can book
+// them. Each offer holds its tickets for WAITLIST_OFFER_MINUTES. Strictly first
+// come first served: if the head of the queue wants more than is free, nobody
+// behind them jumps ahead.
+async function offerToWaitlist(connection, eventId) {
+  const [events] = await connection.execute(
+    'SELECT available_tickets, status FROM events WHERE id = ? FOR UPDATE',
+    [eventId]
+  );
+
+  if (events[0].status !== 'active') {
+    return [];
+  }
+
+  const [waiting] = await connection.execute(
+    'SELECT id, user_id, event_id, ticket_count FROM waitlist_entries WHERE event_id = ? AND status = "waiting" ORDER BY created_at ASC, id ASC FOR UPDATE',
+    [eventId]
+  );
+
+  let available = events[0].available_tickets;
+  const offers = [];
+
+  for (const entry of waiting) {
+    if (entry.ticket_count > available) {
+      break;
+    }
+
+    await connection.execute(
+      'UPDATE waitlist_entries SET status = "offered", offer_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE), updated_at = NOW() WHERE id = ?',
+      [WAITLIST_OFFER_MINUTES, entry.id]
+    );
+
+    await connection.execute(
+      'UPDATE events SET available_tickets = available_tickets - ?, updated_at = NOW() WHERE id = ?',
+      [entry.ticket_count, eventId]
+    );
+
+    available -= entry.ticket_count;
+    offers.push(entry);
+  }
+
+  return offers;
+}
+
+async function notifyWaitlistOffers(offers) {
+  if (!rabbitChannel) return;
+
+  for (const offer of offers) {
+    try {
+      await rabbitChannel.sendToQueue('booking_notifications',
+        Buffer.from(JSON.stringify({
+          waitlistEntryId: offer.id,
+          userId: offer.user_id,
+          eventId: offer.event_id,
+          ticketCount: offer.ticket_count,
+          offerExpiresAt: new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000).toISOString(),
+          type: 'waitlist_offer'
+        })),
+        { persistent: true }
+      );
+    } catch (mqError) {
+      console.error('Message queue error:', mqError);
+    }
   }
 }
 
-async function releaseLock(key, lockValue) {
+// Announces a new pending booking and queues it for payment
+async function queueNewBooking(booking) {
+  if (!rabbitChannel) return;
+
   try {
-    const script = `
-      if redis.call("get", KEYS[1]) == ARGV[1] then
-        return redis.call("del", KEYS[1])
-      else
-        return 0
-      end
-    `;
-    await redisClient.eval(script, {
-      keys: [key],
-      arguments: [lockValue]
+    await rabbitChannel.sendToQueue('booking_notifications',
+      Buffer.from(JSON.stringify({ ...booking, type: 'booking_created' })),
+      { persistent: true }
+    );
+
+    await rabbitChannel.sendToQueue('payment_processing',
+      Buffer.from(JSON.stringify({
+        bookingId: booking.bookingId,
+        userId: booking.userId,
+        amount: booking.totalAmount,
+        bookingReference: booking.bookingReference
+      })),
+      { persistent: true }
+    );
+  } catch (mqError) {
+    console.error('Message queue error:', mqError);
+  }
+}
+
+// Booking changes - a confirmed general admission booking can change its ticket
+// count at the price per ticket originally paid. Extra tickets are held on a
+// top_up adjustment until the difference is paid; removed tickets go straight
+// back to the event and a refund adjustment tracks paying out the difference.
+
+// Gives back the tickets held by an unpaid top-up. The booking row must be locked.
+async function releaseTopUp(connection, eventId, adjustment, status) {
+  await connection.execute(
+    'UPDATE booking_adjustments SET status = ?, updated_at = NOW() WHERE id = ?',
+    [status, adjustment.id]
+  );
+
+  await connection.execute(
+    'UPDATE events SET available_tickets = available_tickets + ?, updated_at = NOW() WHERE id = ?',
+    [adjustment.to_ticket_count - adjustment.from_ticket_count, eventId]
+  );
+
+  return offerToWaitlist(connection, eventId);
+}
+
+// Sends a top-up to be charged or a refund to be paid out by the payment service
+async function queueAdjustment(booking, adjustment) {
+  if (!rabbitChannel) return;
+
+  const message = {
+    bookingId: booking.id,
+    userId: booking.user_id,
+    amount: Number(adjustment.amount),
+    bookingReference: booking.booking_reference,
+    adjustmentId: adjustment.id
+  };
+
+  try {
+    await rabbitChannel.sendToQueue(adjustment.kind === 'top_up' ? 'payment_processing' : 'refund_requests',
+      Buffer.from(JSON.stringify(message)),
+      { persistent: true }
+    );
+
+    await rabbitChannel.sendToQueue('booking_notifications',
+      Buffer.from(JSON.stringify({
+        ...message,
+        eventId: booking.event_id,
+        fromTicketCount: adjustment.from_ticket_count,
+        toTicketCount: adjustment.to_ticket_count,
+        kind: adjustment.kind,
+        type: 'booking_change_requested'
+      })),
+      { persistent: true }
+    );
+  } catch (mqError) {
+    console.error('Message queue error:', mqError);
+  }
+}
+
+function formatAdjustment(adjustment) {
+  return {
+    adjustmentId: adjustment.id,
+    kind: adjustment.kind,
+    fromTicketCount: adjustment.from_ticket_count,
+    toTicketCount: adjustment.to_ticket_count,
+    amount: Number(adjustment.amount),
+    status: adjustment.status,
+    expiresAt: adjustment.expires_at,
+    createdAt: adjustment.created_at
+  };
+}
+
+// Holds the chosen seats for a booking. Only seats that are still available are
+// taken, so a concurrent booking that got there first makes the count come up short.
+// Returns the seat IDs that could not be held (empty on success).
+async function holdSeats(connection, bookingId, eventId, seatIds) {
+  const placeholders = seatIds.map(() => '?').join(', ');
+
+  const [result] = await connection.execute(
+    `UPDATE seats SET status = 'held', booking_id = ? WHERE event_id = ? AND id IN (${placeholders}) AND status = 'available'`,
+    [bookingId, eventId, ...seatIds]
+  );
+
+  if (result.affectedRows === seatIds.length) {
+    return [];
+  }
+
+  const [held] = await connection.execute(
+    `SELECT id FROM seats WHERE booking_id = ? AND id IN (${placeholders})`,
+    [bookingId, ...seatIds]
+  );
+  const heldIds = held.map(seat => seat.id);
+
+  return seatIds.filter(id => !heldIds.includes(id));
+}
+
+// Takes quota from each ticket tier in the order, priced from the database rather
+// than the request. Returns { lines } on success or { status, error } for the first
+// tier that cannot be sold; the caller rolls back in that case.
+async function holdTicketTypes(connection, eventId, items) {
+  const lines = [];
+  const now = new Date();
+
+  for (const item of items) {
+    const [types] = await connection.execute(
+      'SELECT id, name, price, quota, sold, per_order_limit, sales_start, sales_end FROM ticket_types WHERE id = ? AND event_id = ?',
+      [item.ticketTypeId, eventId]
+    );
+
+    if (types.length === 0) {
+      return { status: 400, error: `Ticket type ${item.ticketTypeId} is not sold for this event` };
+    }
+
+    const type = types[0];
+
+    if (type.sales_start && new Date(type.sales_start) > now) {
+      return { status: 400, error: `${type.name} tickets go on sale at ${new Date(type.sales_start).toISOString()}` };
+    }
+
+    if (type.sales_end && new Date(type.sales_end) <= now) {
+      return { status: 400, error: `${type.name} ticket sales have ended` };
+    }
+
+    if (item.quantity > type.per_order_limit) {
+      return { status: 400, error: `A maximum of ${type.per_order_limit} ${type.name} tickets can be bought per order` };
+    }
+
+    const [result] = await connection.execute(
+      'UPDATE ticket_types SET sold = sold + ?, updated_at = NOW() WHERE id = ? AND sold + ? <= quota',
+      [item.quantity, type.id, item.quantity]
+    );
+
+    if (result.affectedRows === 0) {
+      return { status: 409, error: `Only ${Math.max(type.quota - type.sold, 0)} ${type.name} tickets available` };
+    }
+
+    lines.push({
+      ticketTypeId: type.id,
+      name: type.name,
+      quantity: item.quantity,
+      unitPrice: Number(type.price)
     });
-  } catch (error) {
-    console.error('Lock release error:', error);
   }
+
+  return { lines };
+}
+
+// Before an event goes on sale, bookings are only open to holders of an access
+// code for a presale that is running now. Read-only: the code is claimed later
+// with claimAccessCode. Returns { accessCodeId } or { status, error, ... }.
+async function checkPresaleAccess(connection, event, accessCode) {
+  const onSaleAt = new Date(event.on_sale_at).toISOString();
+
+  if (!accessCode) {
+    const [running] = await connection.execute(
+      'SELECT id FROM presales WHERE event_id = ? AND starts_at <= NOW() AND ends_at > NOW() LIMIT 1',
+      [event.id]
+    );
+
+    return running.length > 0
+      ? { status: 403, error: `Tickets go on sale at ${onSaleAt}. A presale is running now for access code holders.`, onSaleAt, accessCodeRequired: true }
+      : { status: 400, error: `Tickets for this event are not on sale yet. They go on sale at ${onSaleAt}.`, onSaleAt };
+  }
+
+  const [codes] = await connection.execute(
+    `SELECT ac.id, ac.max_uses, ac.uses, p.starts_at, p.ends_at
+     FROM access_codes ac
+     JOIN presales p ON ac.presale_id = p.id
+     WHERE ac.event_id = ? AND ac.code = ?`,
+    [event.id, String(accessCode).trim().toUpperCase()]
+  );
+
+  if (codes.length === 0) {
+    return { status: 403, error: 'Access code not recognised for this event', onSaleAt };
+  }
+
+  const code = codes[0];
+  const now = new Date();
+
+  if (new Date(code.starts_at) > now) {
+    const startsAt = new Date(code.starts_at).toISOString();
+    return { status: 400, error: `Not on sale yet. This access code works from ${startsAt}.`, onSaleAt, presaleStartsAt: startsAt };
+  }
+
+  if (new Date(code.ends_at) <= now) {
+    return { status: 400, error: `The presale for this access code has ended. General sale opens at ${onSaleAt}.`, onSaleAt };
+  }
+
+  if (code.uses >= code.max_uses) {
+    return { status: 409, error: 'This access code has already been used', onSaleAt };
+  }
+
+  return { accessCodeId: code.id };
+}
+
+// Takes one use of an access code; false if a concurrent booking took the last one
+async function claimAccessCode(connection, accessCodeId) {
+  const [result] = await connection.execute(
+    'UPDATE access_codes SET uses = uses + 1, updated_at = NOW() WHERE id = ? AND uses < max_uses',
+    [accessCodeId]
+  );
+  return result.affectedRows === 1;
+}
+
+// Signs the request in and sets req.userId, the user it acts for. Callers may
+// still name a userId in the path, body or query string, but only admins may
+// name someone other than themselves.
+function asUser(req, res, next) {
+  verifyToken(req, res, () => {
+    const named = req.params.userId ?? req.body?.userId ?? req.query.userId;
+
+    if (named !== undefined && !canActFor(req.user, named)) {
+      return res.status(403).json({ error: 'You can only act on your own account' });
+    }
+
+    req.userId = named !== undefined ? Number(named) : req.user.userId;
+    next();
+  });
 }
 
 // Book tickets
-app.post('/api/bookings', async (req, res) => {
-  const { userId, eventId, ticketCount } = req.body;
+app.post('/api/bookings', asUser, idempotent(pool, 'booking-service:create-booking'), async (req, res) => {
+  const userId = req.userId;
+  const { eventId, seatIds, items, accessCode } = req.body;
+  let { ticketCount } = req.body;
+  
+  if (seatIds !== undefined && items !== undefined) {
+    return res.status(400).json({ error: 'Choose either seats or ticket types, not both' });
+  }
+  
+  // Reserved seating: the chosen seats decide the ticket count
+  if (seatIds !== undefined) {
+    if (!Array.isArray(seatIds) || seatIds.length === 0 ||
+        !seatIds.every(Number.isInteger) || new Set(seatIds).size !== seatIds.length) {
+      return res.status(400).json({ error: 'seatIds must be a list of distinct seat IDs' });
+    }
+    ticketCount = seatIds.length;
+  }
   
-  if (!userId || !eventId || !ticketCount) {
+  // Ticket tiers: a line item per tier, the quantities decide the ticket count
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0 ||
+        !items.every(item => item && Number.isInteger(item.ticketTypeId) && Number.isInteger(item.quantity) && item.quantity > 0) ||
+        new Set(items.map(item => item.ticketTypeId)).size !== items.length) {
+      return res.status(400).json({ error: 'items must be a list of { ticketTypeId, quantity } with one entry per ticket type' });
+    }
+    ticketCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  }
+  
+  if (!eventId || !ticketCount) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   
@@ -119,24 +543,22 @@ app.post('/api/bookings', async (req, res) => {
     return res.status(400).json({ error: 'Invalid ticket count (1-10 allowed)' });
   }
   
-  const lockKey = `event_booking_lock:${eventId}`;
-  let lockValue = null;
   let connection = null;
   
   try {
-    lockValue = await acquireLock(lockKey, 30);
-    
-    if (!lockValue) {
-      return res.status(429).json({ 
-        error: 'Event is currently being booked by another user. Please try again.' 
-      });
-    }
-    
     connection = await pool.getConnection();
     await connection.beginTransaction();
     
+    if (!(await lockUser(connection, userId))) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Plain read: nothing is locked until the inventory is actually taken below,
+    // so concurrent buyers of the same event do not queue behind each other
     const [events] = await connection.execute(
-      'SELECT id, title, available_tickets, price, status, event_date FROM events WHERE id = ? AND status = "active" FOR UPDATE',
+      `SELECT id, title, total_tickets, available_tickets, price, status, event_date, hold_minutes, reserved_seating, on_sale_at, off_sale_at
+       FROM events WHERE id = ? AND status = "active"`,
       [eventId]
     );
     
@@ -152,10 +574,56 @@ app.post('/api/bookings', async (req, res) => {
       return res.status(400).json({ error: 'Cannot book tickets for past events' });
     }
     
+    if (event.off_sale_at && new Date(event.off_sale_at) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Ticket sales for this event have ended' });
+    }
+    
+    let accessCodeId = null;
+    
+    if (event.on_sale_at && new Date(event.on_sale_at) > new Date()) {
+      const access = await checkPresaleAccess(connection, event, accessCode);
+      
+      if (access.error) {
+        await connection.rollback();
+        const { status, ...body } = access;
+        return res.status(status).json(body);
+      }
+      accessCodeId = access.accessCodeId;
+    }
+    
+    if (event.reserved_seating && !seatIds) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'This event has reserved seating. Please choose your seats.' });
+    }
+    
+    if (!event.reserved_seating && seatIds) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'This event does not offer seat selection' });
+    }
+    
+    const [tierCount] = await connection.execute(
+      'SELECT COUNT(*) AS count FROM ticket_types WHERE event_id = ?',
+      [eventId]
+    );
+    const hasTicketTypes = tierCount[0].count > 0;
+    
+    if (hasTicketTypes && !items) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'This event sells several ticket types. Please choose from them.' });
+    }
+    
+    if (!hasTicketTypes && items) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'This event does not offer ticket types' });
+    }
+    
     if (event.available_tickets < ticketCount) {
       await connection.rollback();
       return res.status(400).json({ 
-        error: `Only ${event.available_tickets} tickets available` 
+        error: `Only ${event.available_tickets} tickets available`,
+        availableTickets: event.available_tickets,
+        waitlistAvailable: !event.reserved_seating && !items
       });
     }
     
@@ -169,62 +637,105 @@ app.post('/api/bookings', async (req, res) => {
       return res.status(400).json({ error: 'You already have a booking for this event' });
     }
     
-    const totalAmount = event.price * ticketCount;
+    let lines = [];
+    
+    if (items) {
+      const held = await holdTicketTypes(connection, eventId, items);
+      
+      if (held.error) {
+        await connection.rollback();
+        return res.status(held.status).json({ error: held.error });
+      }
+      lines = held.lines;
+    }
+    
+    // Tiers carry their own prices; otherwise the event's pricing rules decide
+    const quote = items ? null : await quotePrice(connection, event, ticketCount);
+    const totalAmount = items
+      ? lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+      : quote.totalAmount;
     const bookingReference = `BK${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
     
     const [bookingResult] = await connection.execute(
-      'INSERT INTO bookings (user_id, event_id, ticket_count, total_amount, booking_reference, status, created_at, expires_at) VALUES (?, ?, ?, ?, ?, "pending", NOW(), DATE_ADD(NOW(), INTERVAL 15 MINUTE))',
-      [userId, eventId, ticketCount, totalAmount, bookingReference]
+      'INSERT INTO bookings (user_id, event_id, ticket_count, total_amount, unit_price, booking_reference, access_code_id, status, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, "pending", NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+      [userId, eventId, ticketCount, totalAmount, quote ? quote.unitPrice : null, bookingReference, accessCodeId, event.hold_minutes]
     );
     
-    await connection.execute(
-      'UPDATE events SET available_tickets = available_tickets - ?, updated_at = NOW() WHERE id = ?',
-      [ticketCount, eventId]
-    );
+    let seats = [];
     
-    await connection.commit();
+    if (seatIds) {
+      const unavailableSeatIds = await holdSeats(connection, bookingResult.insertId, eventId, seatIds);
+      
+      if (unavailableSeatIds.length > 0) {
+        await connection.rollback();
+        return res.status(409).json({
+          error: 'One or more selected seats are no longer available',
+          unavailableSeatIds
+        });
+      }
+      
+      [seats] = await connection.execute(
+        'SELECT id, section, row_label, seat_number FROM seats WHERE booking_id = ? ORDER BY section, row_label, seat_number',
+        [bookingResult.insertId]
+      );
+    }
     
-    const bookingId = bookingResult.insertId;
+    for (const line of lines) {
+      await connection.execute(
+        'INSERT INTO booking_items (booking_id, ticket_type_id, quantity, unit_price, created_at) VALUES (?, ?, ?, ?, NOW())',
+        [bookingResult.insertId, line.ticketTypeId, line.quantity, line.unitPrice]
+      );
+    }
     
-    if (rabbitChannel) {
-      try {
-        await rabbitChannel.sendToQueue('booking_notifications', 
-          Buffer.from(JSON.stringify({
-            bookingId,
-            userId,
-            eventId,
-            eventTitle: event.title,
-            ticketCount,
-            totalAmount,
-            bookingReference,
-            type: 'booking_created'
-          })), 
-          { persistent: true }
-        );
-        
-        await rabbitChannel.sendToQueue('payment_processing',
-          Buffer.from(JSON.stringify({
-            bookingId,
-            userId,
-            amount: totalAmount,
-            bookingReference
-          })),
-          { persistent: true }
-        );
-      } catch (mqError) {
-        console.error('Message queue error:', mqError);
+    await recordCreation(connection, bookingResult.insertId, { actor: `user:${userId}` });
+    
+    if (accessCodeId && !(await claimAccessCode(connection, accessCodeId))) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'This access code has already been used' });
+    }
+    
+    // Taken last so the event row lock is held for as short a time as possible
+    if (!(await takeTickets(connection, eventId, ticketCount))) {
+      await connection.rollback();
+      const [current] = await pool.execute('SELECT available_tickets, status FROM events WHERE id = ?', [eventId]);
+      if (current[0].status !== 'active') {
+        return res.status(409).json({ error: 'This event is no longer on sale' });
       }
+      return res.status(400).json({
+        error: `Only ${current[0].available_tickets} tickets available`,
+        availableTickets: current[0].available_tickets,
+        waitlistAvailable: !event.reserved_seating && !items
+      });
     }
     
+    await connection.commit();
+    await invalidateEventCache(eventId);
+    
+    const bookingId = bookingResult.insertId;
+    
+    await queueNewBooking({
+      bookingId,
+      userId,
+      eventId,
+      eventTitle: event.title,
+      ticketCount,
+      totalAmount,
+      bookingReference
+    });
+    
     res.status(201).json({
       bookingId,
       bookingReference,
       status: 'pending',
       totalAmount,
+      unitPrice: quote ? quote.unitPrice : null,
+      appliedPricingRule: quote ? quote.appliedRule : null,
       ticketCount,
+      seats,
+      items: lines,
       eventTitle: event.title,
-      expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
-      message: 'Booking created successfully. Please complete payment within 15 minutes.'
+      expiresAt: new Date(Date.now() + event.hold_minutes * 60 * 1000).toISOString(),
+      message: `Booking created successfully. Please complete payment within ${event.hold_minutes} minutes.`
     });
     
   } catch (error) {
@@ -237,16 +748,13 @@ app.post('/api/bookings', async (req, res) => {
     if (connection) {
       connection.release();
     }
-    if (lockValue) {
-      await releaseLock(lockKey, lockValue);
-    }
   }
 });
 
 // Get user bookings - FIXED FUNCTION
-app.get('/api/bookings/user/:userId', async (req, res) => {
+app.get('/api/bookings/user/:userId', asUser, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.userId;
     const { status, page = '1', limit = '10' } = req.query;
     
     // Convert to integers properly
@@ -301,8 +809,49 @@ app.get('/api/bookings/user/:userId', async (req, res) => {
   }
 });
 
+// What a booking would cost right now. Registered ahead of /api/bookings/:bookingId.
+app.get('/api/bookings/price-preview', async (req, res) => {
+  const eventId = Number(req.query.eventId);
+  const quantity = req.query.quantity === undefined ? 1 : Number(req.query.quantity);
+
+  if (!Number.isInteger(eventId) || eventId < 1) {
+    return res.status(400).json({ error: 'eventId is required' });
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > 10) {
+    return res.status(400).json({ error: 'Invalid ticket count (1-10 allowed)' });
+  }
+
+  try {
+    const [events] = await pool.execute(
+      'SELECT id, price, total_tickets, available_tickets, event_date FROM events WHERE id = ? AND status = "active"',
+      [eventId]
+    );
+
+    if (events.length === 0) {
+      return res.status(404).json({ error: 'Event not found or inactive' });
+    }
+
+    const [tierCount] = await pool.execute(
+      'SELECT COUNT(*) AS count FROM ticket_types WHERE event_id = ?',
+      [eventId]
+    );
+
+    if (tierCount[0].count > 0) {
+      return res.status(400).json({ error: 'This event is priced by ticket type; see its ticket types for prices' });
+    }
+
+    const quote = await quotePrice(pool, events[0], quantity);
+
+    res.json({ eventId, quantity, ...quote });
+  } catch (error) {
+    console.error('Price preview error:', error);
+    res.status(500).json({ error: 'Failed to work out price' });
+  }
+});
+
 // Get booking details
-app.get('/api/bookings/:bookingId', async (req, res) => {
+app.get('/api/bookings/:bookingId', verifyToken, async (req, res) => {
   try {
     const { bookingId } = req.params;
     
@@ -319,15 +868,2291 @@ app.get('/api/bookings/:bookingId', async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
-    res.json(bookings[0]);
+    if (!canActFor(req.user, bookings[0].user_id, 'box_office')) {
+      return res.status(403).json({ error: 'You can only view your own bookings' });
+    }
+    
+    const [seats] = await pool.execute(
+      'SELECT id, section, row_label, seat_number, status FROM seats WHERE booking_id = ? ORDER BY section, row_label, seat_number',
+      [bookingId]
+    );
+    
+    const [items] = await pool.execute(
+      `SELECT bi.ticket_type_id, tt.name, bi.quantity, bi.unit_price
+       FROM booking_items bi
+       JOIN ticket_types tt ON bi.ticket_type_id = tt.id
+       WHERE bi.booking_id = ?`,
+      [bookingId]
+    );
+    
+    const [adjustments] = await pool.execute(
+      'SELECT * FROM booking_adjustments WHERE booking_id = ? ORDER BY created_at ASC, id ASC',
+      [bookingId]
+    );
+    
+    res.json({ ...bookings[0], seats, items, adjustments: adjustments.map(formatAdjustment) });
   } catch (error) {
     console.error('Get booking error:', error);
     res.status(500).json({ error: 'Failed to fetch booking' });
   }
 });
 
-// Initialize RabbitMQ
-initRabbitMQ();
+// Change the ticket count of a confirmed general admission booking
+app.patch('/api/bookings/:bookingId', asUser, idempotent(pool, 'booking-service:change-booking'), async (req, res) => {
+  const { bookingId } = req.params;
+  const userId = req.userId;
+  const { ticketCount } = req.body;
+
+  if (ticketCount === undefined) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (!Number.isInteger(ticketCount) || ticketCount <= 0 || ticketCount > 10) {
+    return res.status(400).json({ error: 'Invalid ticket count (1-10 allowed)' });
+  }
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      `SELECT b.id, b.user_id, b.event_id, b.ticket_count, b.total_amount, b.unit_price, b.booking_reference, b.status, b.payment_status,
+              e.event_date, e.status AS event_status, e.hold_minutes, e.reserved_seating
+       FROM bookings b
+       JOIN events e ON b.event_id = e.id
+       WHERE b.id = ? AND b.user_id = ?
+       FOR UPDATE OF b`,
+      [bookingId, userId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (booking.status !== 'confirmed') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Cannot change a booking that is ${booking.status}. Only confirmed bookings can be changed.` });
+    }
+
+    const [lines] = await connection.execute(
+      'SELECT COUNT(*) AS count FROM booking_items WHERE booking_id = ?',
+      [booking.id]
+    );
+
+    if (booking.reserved_seating || lines[0].count > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Only general admission bookings can change their ticket count. Cancel and book again instead.' });
+    }
+
+    if (new Date(booking.event_date) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Cannot change bookings for past events' });
+    }
+
+    if (ticketCount === booking.ticket_count) {
+      await connection.rollback();
+      return res.status(400).json({ error: `Booking already has ${ticketCount} tickets` });
+    }
+
+    const [pendingAdjustments] = await connection.execute(
+      'SELECT id FROM booking_adjustments WHERE booking_id = ? AND status = "pending"',
+      [booking.id]
+    );
+
+    if (pendingAdjustments.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'A previous change to this booking is still being processed' });
+    }
+
+    const [pendingTransfers] = await connection.execute(
+      'SELECT id FROM booking_transfers WHERE booking_id = ? AND status = "pending"',
+      [booking.id]
+    );
+
+    if (pendingTransfers.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'This booking has a pending transfer' });
+    }
+
+    const difference = ticketCount - booking.ticket_count;
+    const unitPrice = booking.unit_price !== null
+      ? Number(booking.unit_price)
+      : Number(booking.total_amount) / booking.ticket_count;
+    const amount = roundMoney(unitPrice * Math.abs(difference));
+    const kind = difference > 0 ? 'top_up' : 'refund';
+    let offers = [];
+
+    if (kind === 'top_up') {
+      if (booking.event_status !== 'active') {
+        await connection.rollback();
+        return res.status(400).json({ error: 'This event is no longer on sale' });
+      }
+    } else {
+      const hoursUntilEvent = (new Date(booking.event_date) - new Date()) / (1000 * 60 * 60);
+
+      if (hoursUntilEvent < CANCELLATION_CUTOFF_HOURS) {
+        await connection.rollback();
+        return res.status(400).json({
+          error: `Cannot reduce a booking less than ${CANCELLATION_CUTOFF_HOURS} hours before event`
+        });
+      }
+    }
+
+    // Only a top-up holds anything, so only a top-up expires
+    const [adjustmentResult] = await connection.execute(
+      `INSERT INTO booking_adjustments (booking_id, from_ticket_count, to_ticket_count, kind, amount, status, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, "pending", DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+      [booking.id, booking.ticket_count, ticketCount, kind, amount, kind === 'top_up' ? booking.hold_minutes : null]
+    );
+
+    if (kind === 'top_up') {
+      if (!(await takeTickets(connection, booking.event_id, difference))) {
+        await connection.rollback();
+        const [current] = await pool.execute('SELECT available_tickets, status FROM events WHERE id = ?', [booking.event_id]);
+        if (current[0].status !== 'active') {
+          return res.status(409).json({ error: 'This event is no longer on sale' });
+        }
+        return res.status(400).json({
+          error: `Only ${current[0].available_tickets} more tickets available`,
+          availableTickets: current[0].available_tickets
+        });
+      }
+    } else {
+      await connection.execute(
+        'UPDATE bookings SET ticket_count = ?, total_amount = total_amount - ?, updated_at = NOW() WHERE id = ?',
+        [ticketCount, amount, booking.id]
+      );
+
+      await recordChange(connection, booking, 'change_quantity', {
+        actor: `user:${userId}`,
+        reason: `Reduced from ${booking.ticket_count} to ${ticketCount} tickets`
+      });
+
+      await voidTickets(connection, booking.id, -difference);
+
+      await connection.execute(
+        'UPDATE events SET available_tickets = available_tickets + ?, updated_at = NOW() WHERE id = ?',
+        [-difference, booking.event_id]
+      );
+
+      offers = await offerToWaitlist(connection, booking.event_id);
+    }
+
+    await connection.commit();
+    await invalidateEventCache(booking.event_id);
+    await notifyWaitlistOffers(offers);
+
+    const [adjustments] = await pool.execute(
+      'SELECT * FROM booking_adjustments WHERE id = ?',
+      [adjustmentResult.insertId]
+    );
+    const adjustment = adjustments[0];
+
+    await queueAdjustment(booking, adjustment);
+
+    res.json({
+      bookingId: booking.id,
+      ticketCount: kind === 'top_up' ? booking.ticket_count : ticketCount,
+      adjustment: formatAdjustment(adjustment),
+      message: kind === 'top_up'
+        ? `${difference} extra ticket(s) are held for you. They will be added once the top-up of ${amount} is paid.`
+        : `Booking reduced to ${ticketCount} ticket(s). A refund of ${amount} is on its way.`
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Change booking error:', error);
+    res.status(500).json({ error: 'Failed to change booking' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Locks a booking and one of its adjustments, in that order
+async function lockAdjustment(connection, bookingId, adjustmentId) {
+  const [bookings] = await connection.execute(
+    'SELECT id, user_id, event_id, ticket_count, total_amount, booking_reference, status, payment_status FROM bookings WHERE id = ? FOR UPDATE',
+    [bookingId]
+  );
+
+  if (bookings.length === 0) {
+    return {};
+  }
+
+  const [adjustments] = await connection.execute(
+    'SELECT * FROM booking_adjustments WHERE id = ? AND booking_id = ? FOR UPDATE',
+    [adjustmentId, bookingId]
+  );
+
+  return { booking: bookings[0], adjustment: adjustments[0] };
+}
+
+// Settle a ticket count change (called by payment service once the top-up has
+// been charged or the refund paid out)
+app.post('/api/bookings/:bookingId/adjustments/:adjustmentId/complete', requireService, async (req, res) => {
+  const { bookingId, adjustmentId } = req.params;
+  const { paymentId, paymentMethod = 'credit_card' } = req.body;
+
+  if (!paymentId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const { booking, adjustment } = await lockAdjustment(connection, bookingId, adjustmentId);
+
+    if (!adjustment) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
+
+    if (adjustment.status !== 'pending') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Adjustment is already ${adjustment.status}` });
+    }
+
+    let ticketCount = booking.ticket_count;
+
+    if (adjustment.kind === 'top_up') {
+      if (new Date(adjustment.expires_at) <= new Date()) {
+        await connection.rollback();
+        return res.status(409).json({ error: 'Top-up hold has expired' });
+      }
+
+      ticketCount = adjustment.to_ticket_count;
+
+      await connection.execute(
+        'UPDATE bookings SET ticket_count = ?, total_amount = total_amount + ?, updated_at = NOW() WHERE id = ?',
+        [ticketCount, adjustment.amount, booking.id]
+      );
+
+      await recordChange(connection, booking, 'change_quantity', {
+        actor: 'service:payment-service',
+        reason: `Increased from ${adjustment.from_ticket_count} to ${ticketCount} tickets, payment ${paymentId}`
+      });
+
+      await issueTickets(connection, booking, adjustment.to_ticket_count - adjustment.from_ticket_count);
+    }
+
+    await connection.execute(
+      'INSERT INTO payments (booking_id, amount, payment_method, payment_gateway_id, status, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [booking.id, adjustment.amount, paymentMethod, paymentId, adjustment.kind === 'top_up' ? 'completed' : 'refunded']
+    );
+
+    await connection.execute(
+      'UPDATE booking_adjustments SET status = "completed", payment_gateway_id = ?, updated_at = NOW() WHERE id = ?',
+      [paymentId, adjustment.id]
+    );
+
+    await connection.commit();
+
+    if (rabbitChannel) {
+      try {
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            adjustmentId: adjustment.id,
+            kind: adjustment.kind,
+            amount: Number(adjustment.amount),
+            ticketCount,
+            type: 'booking_changed'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    res.json({
+      message: adjustment.kind === 'top_up' ? 'Extra tickets added to booking' : 'Refund recorded',
+      bookingId: booking.id,
+      adjustmentId: adjustment.id,
+      status: 'completed',
+      ticketCount
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Complete adjustment error:', error);
+    res.status(500).json({ error: 'Failed to complete adjustment' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Record a declined top-up or a refund that could not be paid (called by payment service)
+app.post('/api/bookings/:bookingId/adjustments/:adjustmentId/fail', requireService, async (req, res) => {
+  const { bookingId, adjustmentId } = req.params;
+  const { reason } = req.body;
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const { booking, adjustment } = await lockAdjustment(connection, bookingId, adjustmentId);
+
+    if (!adjustment) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
+
+    if (adjustment.status !== 'pending') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Adjustment is already ${adjustment.status}` });
+    }
+
+    let offers = [];
+
+    if (adjustment.kind === 'top_up') {
+      offers = await releaseTopUp(connection, booking.event_id, adjustment, 'failed');
+    } else {
+      // The tickets are already gone from the booking - the money still has to
+      // reach the customer, so this needs someone to follow up
+      console.error(`Refund ${adjustment.id} for booking ${booking.id} failed: ${reason || 'unknown reason'}`);
+      await connection.execute(
+        'UPDATE booking_adjustments SET status = "failed", updated_at = NOW() WHERE id = ?',
+        [adjustment.id]
+      );
+    }
+
+    await connection.commit();
+    await invalidateEventCache(booking.event_id);
+    await notifyWaitlistOffers(offers);
+
+    if (rabbitChannel) {
+      try {
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            adjustmentId: adjustment.id,
+            kind: adjustment.kind,
+            reason: reason || 'Payment failed',
+            type: 'booking_change_failed'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    res.json({
+      message: adjustment.kind === 'top_up' ? 'Top-up failed, extra tickets released' : 'Refund failure recorded',
+      bookingId: booking.id,
+      adjustmentId: adjustment.id,
+      status: 'failed'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Fail adjustment error:', error);
+    res.status(500).json({ error: 'Failed to record adjustment failure' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Cancel booking and return its tickets to the event
+app.post('/api/bookings/:bookingId/cancel', asUser, async (req, res) => {
+  const { bookingId } = req.params;
+  const userId = req.userId;
+  const { reason } = req.body;
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      `SELECT b.id, b.event_id, b.ticket_count, b.total_amount, b.booking_reference, b.status, b.payment_status, e.event_date
+       FROM bookings b
+       JOIN events e ON b.event_id = e.id
+       WHERE b.id = ? AND b.user_id = ?
+       FOR UPDATE OF b`,
+      [bookingId, userId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (!getTransition(booking, 'cancel')) {
+      await connection.rollback();
+      return res.status(409).json({ error: rejectionMessage(booking, 'cancel') });
+    }
+
+    if (booking.status === 'confirmed') {
+      const hoursUntilEvent = (new Date(booking.event_date) - new Date()) / (1000 * 60 * 60);
+
+      if (hoursUntilEvent < CANCELLATION_CUTOFF_HOURS) {
+        await connection.rollback();
+        return res.status(400).json({
+          error: `Cannot cancel booking less than ${CANCELLATION_CUTOFF_HOURS} hours before event`
+        });
+      }
+    }
+
+    const offers = await releaseBooking(connection, booking, 'cancel', {
+      actor: `user:${userId}`,
+      reason: reason || 'User cancelled'
+    });
+
+    const refundAmount = booking.payment_status === 'completed' ? Number(booking.total_amount) : 0;
+
+    // Without the queue the refund is left for the box office to issue
+    const queueRefund = refundAmount > 0 && Boolean(rabbitChannel) &&
+      await requestRefund(connection, { ...booking, status: 'cancelled' }, {
+        actor: `user:${userId}`,
+        reason: reason || 'User cancelled'
+      });
+
+    await connection.commit();
+    await invalidateEventCache(booking.event_id);
+    await notifyWaitlistOffers(offers);
+
+    if (rabbitChannel) {
+      try {
+        if (queueRefund) {
+          await rabbitChannel.sendToQueue('refund_requests',
+            Buffer.from(JSON.stringify({
+              bookingId: booking.id,
+              userId,
+              amount: refundAmount,
+              bookingReference: booking.booking_reference
+            })),
+            { persistent: true }
+          );
+        }
+
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId,
+            eventId: booking.event_id,
+            ticketCount: booking.ticket_count,
+            refundAmount,
+            reason: reason || 'User cancelled',
+            type: 'booking_cancelled'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    res.json({
+      message: 'Booking cancelled successfully',
+      bookingId: booking.id,
+      status: 'cancelled',
+      ticketsReleased: booking.ticket_count,
+      refundAmount
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Cancel booking error:', error);
+    res.status(500).json({ error: 'Failed to cancel booking' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Confirm payment (called by payment service after a successful charge)
+app.post('/api/bookings/:bookingId/confirm-payment', requireService, async (req, res) => {
+  const { bookingId } = req.params;
+  const { paymentId, paymentMethod = 'credit_card' } = req.body;
+
+  if (!paymentId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      'SELECT id, user_id, event_id, ticket_count, total_amount, booking_reference, status, payment_status, expires_at FROM bookings WHERE id = ? FOR UPDATE',
+      [bookingId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (!getTransition(booking, 'confirm_payment')) {
+      await connection.rollback();
+      return res.status(409).json({ error: rejectionMessage(booking, 'confirm_payment') });
+    }
+
+    // The reaper may not have caught up yet, but the hold is gone all the same
+    if (new Date(booking.expires_at) <= new Date()) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Booking hold has expired' });
+    }
+
+    await applyTransition(connection, booking, 'confirm_payment', {
+      actor: 'service:payment-service',
+      reason: `Payment ${paymentId}`
+    });
+
+    await connection.execute(
+      'UPDATE seats SET status = "sold" WHERE booking_id = ?',
+      [booking.id]
+    );
+
+    await issueTickets(connection, booking);
+
+    await connection.execute(
+      'INSERT INTO payments (booking_id, amount, payment_method, payment_gateway_id, status, created_at) VALUES (?, ?, ?, ?, "completed", NOW())',
+      [booking.id, booking.total_amount, paymentMethod, paymentId]
+    );
+
+    await connection.commit();
+
+    if (rabbitChannel) {
+      try {
+        await rabbitChannel.sendToQueue('booking_confirmations',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            bookingReference: booking.booking_reference,
+            paymentId,
+            type: 'payment_confirmed'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    res.json({
+      message: 'Payment confirmed successfully',
+      bookingId: booking.id,
+      status: 'confirmed',
+      paymentStatus: 'completed'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Confirm payment error:', error);
+    res.status(500).json({ error: 'Failed to confirm payment' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Record a declined payment (called by payment service), releasing the hold
+app.post('/api/bookings/:bookingId/fail-payment', requireService, async (req, res) => {
+  const { bookingId } = req.params;
+  const { reason } = req.body;
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      'SELECT id, user_id, event_id, ticket_count, status, payment_status FROM bookings WHERE id = ? FOR UPDATE',
+      [bookingId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (!getTransition(booking, 'fail_payment')) {
+      await connection.rollback();
+      return res.status(409).json({ error: rejectionMessage(booking, 'fail_payment') });
+    }
+
+    const offers = await releaseBooking(connection, booking, 'fail_payment', {
+      actor: 'service:payment-service',
+      reason: reason || 'Payment failed'
+    });
+
+    await connection.commit();
+    await invalidateEventCache(booking.event_id);
+    await notifyWaitlistOffers(offers);
+
+    if (rabbitChannel) {
+      try {
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            ticketCount: booking.ticket_count,
+            reason: reason || 'Payment failed',
+            type: 'booking_cancelled'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    res.json({
+      message: 'Booking cancelled after failed payment',
+      bookingId: booking.id,
+      status: 'cancelled',
+      paymentStatus: 'failed'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Fail payment error:', error);
+    res.status(500).json({ error: 'Failed to record payment failure' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Booking state transition history
+app.get('/api/bookings/:bookingId/history', verifyToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const [bookings] = await pool.execute(
+      'SELECT id, user_id, booking_reference, status, payment_status FROM bookings WHERE id = ?',
+      [bookingId]
+    );
+
+    if (bookings.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!canActFor(req.user, bookings[0].user_id, 'box_office')) {
+      return res.status(403).json({ error: 'You can only view your own bookings' });
+    }
+
+    const [history] = await pool.execute(
+      `SELECT action, from_status, to_status, from_payment_status, to_payment_status, actor, reason, created_at
+       FROM booking_history
+       WHERE booking_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [bookingId]
+    );
+
+    res.json({
+      booking: bookings[0],
+      history
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking history' });
+  }
+});
+
+// Issued tickets for a paid booking, each with its signed token as a QR code
+app.get('/api/bookings/:bookingId/tickets', asUser, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const userId = req.userId;
+
+    const [bookings] = await pool.execute(
+      `SELECT b.id, b.booking_reference, b.status, e.title AS event_title, e.venue, e.event_date
+       FROM bookings b
+       JOIN events e ON b.event_id = e.id
+       WHERE b.id = ? AND b.user_id = ?`,
+      [bookingId, userId]
+    );
+
+    if (bookings.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const [tickets] = await pool.execute(
+      `SELECT t.id, t.event_id, t.ticket_code, t.status, t.checked_in_at, t.gate,
+              s.section, s.row_label, s.seat_number, tt.name AS ticket_type
+       FROM tickets t
+       LEFT JOIN seats s ON t.seat_id = s.id
+       LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+       WHERE t.booking_id = ? AND t.status IN ("valid", "used")
+       ORDER BY t.id ASC`,
+      [bookingId]
+    );
+
+    const result = [];
+    for (const ticket of tickets) {
+      const token = signTicketToken(ticket);
+
+      result.push({
+        ticketId: ticket.id,
+        status: ticket.status,
+        seat: ticket.section ? { section: ticket.section, row: ticket.row_label, number: ticket.seat_number } : null,
+        ticketType: ticket.ticket_type,
+        token,
+        qrCode: await QRCode.toDataURL(token),
+        checkedInAt: ticket.checked_in_at,
+        gate: ticket.gate
+      });
+    }
+
+    res.json({
+      bookingId: bookings[0].id,
+      bookingReference: bookings[0].booking_reference,
+      status: bookings[0].status,
+      eventTitle: bookings[0].event_title,
+      venue: bookings[0].venue,
+      eventDate: bookings[0].event_date,
+      tickets: result
+    });
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// Personal calendar feeds. A user gets a secret feed URL that calendar apps can
+// subscribe to without signing in; issuing a new one revokes the old.
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+app.post('/api/bookings/user/:userId/calendar-feed', asUser, async (req, res) => {
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [users] = await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [req.userId]);
+
+    if (users.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await connection.execute(
+      'UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [users[0].id]
+    );
+
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    await connection.execute(
+      'INSERT INTO calendar_feed_tokens (user_id, token_hash, created_at) VALUES (?, ?, NOW())',
+      [users[0].id, hashFeedToken(token)]
+    );
+
+    await connection.commit();
+
+    res.status(201).json({ token, feedPath: `/api/bookings/calendar/${token}` });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+app.delete('/api/bookings/user/:userId/calendar-feed', asUser, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [req.userId]
+    );
+
+    res.json({ revoked: result.affectedRows });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// The feed itself: confirmed bookings, plus bookings of cancelled events marked
+// as cancelled so subscribed calendars drop them rather than keep a stale entry.
+// Times follow the event, so a moved event moves on the next refresh.
+app.get('/api/bookings/calendar/:token', async (req, res) => {
+  try {
+    const [tokens] = await pool.execute(
+      'SELECT id, user_id FROM calendar_feed_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+      [hashFeedToken(req.params.token)]
+    );
+
+    if (tokens.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    await pool.execute('UPDATE calendar_feed_tokens SET last_used_at = NOW() WHERE id = ?', [tokens[0].id]);
+
+    const [bookings] = await pool.execute(
+      `SELECT b.id, b.booking_reference, b.ticket_count, b.status, b.updated_at,
+              e.title, e.description, e.venue, e.event_date, e.status AS event_status, e.updated_at AS event_updated_at,
+              v.address, v.city, v.country, v.timezone
+       FROM bookings b
+       JOIN events e ON b.event_id = e.id
+       LEFT JOIN venues v ON e.venue_id = v.id
+       WHERE b.user_id = ?
+         AND (b.status = "confirmed" OR (b.status = "cancelled" AND e.status = "cancelled" AND b.payment_status IN ("completed", "refunded")))
+       ORDER BY e.event_date ASC, b.id ASC`,
+      [tokens[0].user_id]
+    );
+
+    const events = bookings.map(booking => {
+      const cancelled = booking.status === 'cancelled' || booking.event_status === 'cancelled';
+      const updatedAt = new Date(Math.max(new Date(booking.updated_at), new Date(booking.event_updated_at)));
+
+      return buildEvent({
+        uid: `booking-${booking.id}`,
+        title: `${booking.title} (${booking.ticket_count} ticket${booking.ticket_count === 1 ? '' : 's'})`,
+        description: [`Booking reference: ${booking.booking_reference}`, booking.description].filter(Boolean).join('\n\n'),
+        location: formatLocation(booking),
+        start: booking.event_date,
+        timeZone: booking.timezone || 'UTC',
+        status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+        updatedAt
+      });
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar(events, { name: 'My ticket bookings', refreshHours: 1 }));
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Scan a ticket at the door. The status flip is a single conditional UPDATE, so
+// the same ticket presented at two gates at once only gets in once.
+app.post('/api/checkin', requireRole('box_office'), async (req, res) => {
+  const { token, gate, eventId } = req.body;
+
+  if (!token || !gate) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    const claims = verifyTicketToken(token);
+
+    if (!claims) {
+      return res.status(400).json({ valid: false, error: 'Invalid ticket' });
+    }
+
+    if (eventId && Number(eventId) !== claims.eventId) {
+      return res.status(409).json({ valid: false, error: 'Ticket is for a different event' });
+    }
+
+    const [tickets] = await pool.execute(
+      `SELECT t.id, t.status, t.checked_in_at, t.gate, b.booking_reference, e.title AS event_title,
+              u.first_name, u.last_name, s.section, s.row_label, s.seat_number, tt.name AS ticket_type
+       FROM tickets t
+       JOIN bookings b ON t.booking_id = b.id
+       JOIN events e ON t.event_id = e.id
+       JOIN users u ON b.user_id = u.id
+       LEFT JOIN seats s ON t.seat_id = s.id
+       LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+       WHERE t.ticket_code = ? AND t.event_id = ?`,
+      [claims.code, claims.eventId]
+    );
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ valid: false, error: 'Ticket not found' });
+    }
+
+    const ticket = tickets[0];
+
+    const [result] = await pool.execute(
+      'UPDATE tickets SET status = "used", checked_in_at = NOW(), gate = ?, updated_at = NOW() WHERE id = ? AND status = "valid"',
+      [gate, ticket.id]
+    );
+
+    if (result.affectedRows === 0) {
+      const [current] = await pool.execute(
+        'SELECT status, checked_in_at, gate FROM tickets WHERE id = ?',
+        [ticket.id]
+      );
+
+      if (current[0].status === 'used') {
+        return res.status(409).json({
+          valid: false,
+          error: 'Ticket has already been used',
+          checkedInAt: current[0].checked_in_at,
+          gate: current[0].gate
+        });
+      }
+
+      return res.status(409).json({ valid: false, error: 'Ticket has been cancelled' });
+    }
+
+    res.json({
+      valid: true,
+      ticketId: ticket.id,
+      bookingReference: ticket.booking_reference,
+      eventTitle: ticket.event_title,
+      holder: `${ticket.first_name} ${ticket.last_name}`,
+      seat: ticket.section ? { section: ticket.section, row: ticket.row_label, number: ticket.seat_number } : null,
+      ticketType: ticket.ticket_type,
+      gate
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ error: 'Check-in failed' });
+  }
+});
+
+// Transfers - the owner of a confirmed booking offers it to another registered
+// user, and ownership only moves once the recipient accepts
+
+function formatTransfer(transfer) {
+  return {
+    transferId: transfer.id,
+    bookingId: transfer.booking_id,
+    bookingReference: transfer.booking_reference,
+    eventTitle: transfer.event_title,
+    eventDate: transfer.event_date,
+    ticketCount: transfer.ticket_count,
+    fromUserId: transfer.from_user_id,
+    fromEmail: transfer.from_email,
+    toUserId: transfer.to_user_id,
+    toEmail: transfer.to_email,
+    status: transfer.status,
+    createdAt: transfer.created_at
+  };
+}
+
+async function notifyTransfer(transfer, type) {
+  if (!rabbitChannel) return;
+
+  try {
+    await rabbitChannel.sendToQueue('booking_notifications',
+      Buffer.from(JSON.stringify({
+        transferId: transfer.id,
+        bookingId: transfer.booking_id,
+        fromUserId: transfer.from_user_id,
+        toUserId: transfer.to_user_id,
+        type
+      })),
+      { persistent: true }
+    );
+  } catch (mqError) {
+    console.error('Message queue error:', mqError);
+  }
+}
+
+// Offer a confirmed booking to another user
+app.post('/api/bookings/:bookingId/transfer', asUser, async (req, res) => {
+  const { bookingId } = req.params;
+  const userId = req.userId;
+  const { toEmail } = req.body;
+
+  if (!toEmail) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // The recipient is locked first, in user lock order, so their bookings
+    // cannot change while this check runs
+    const [recipients] = await connection.execute(
+      'SELECT id FROM users WHERE email = ? FOR UPDATE',
+      [toEmail]
+    );
+
+    const [bookings] = await connection.execute(
+      `SELECT b.id, b.user_id, b.event_id, b.status, e.event_date
+       FROM bookings b
+       JOIN events e ON b.event_id = e.id
+       WHERE b.id = ? AND b.user_id = ?
+       FOR UPDATE OF b`,
+      [bookingId, userId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (booking.status !== 'confirmed') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Cannot transfer a booking that is ${booking.status}. Only confirmed bookings can be transferred.` });
+    }
+
+    if (new Date(booking.event_date) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Cannot transfer bookings for past events' });
+    }
+
+    if (recipients.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'No registered user with that email' });
+    }
+
+    const recipientId = recipients[0].id;
+
+    if (recipientId === booking.user_id) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'You cannot transfer a booking to yourself' });
+    }
+
+    const [recipientBookings] = await connection.execute(
+      'SELECT id FROM bookings WHERE user_id = ? AND event_id = ? AND status IN ("pending", "confirmed")',
+      [recipientId, booking.event_id]
+    );
+
+    if (recipientBookings.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'That user already has a booking for this event' });
+    }
+
+    const [pendingTransfers] = await connection.execute(
+      'SELECT id FROM booking_transfers WHERE booking_id = ? AND status = "pending"',
+      [booking.id]
+    );
+
+    if (pendingTransfers.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'This booking already has a pending transfer' });
+    }
+
+    const [pendingAdjustments] = await connection.execute(
+      'SELECT id FROM booking_adjustments WHERE booking_id = ? AND status = "pending"',
+      [booking.id]
+    );
+
+    if (pendingAdjustments.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'A change to this booking is still being processed' });
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO booking_transfers (booking_id, from_user_id, to_user_id, status, created_at) VALUES (?, ?, ?, "pending", NOW())',
+      [booking.id, booking.user_id, recipientId]
+    );
+
+    await connection.commit();
+
+    const transfer = { id: result.insertId, booking_id: booking.id, from_user_id: booking.user_id, to_user_id: recipientId };
+    await notifyTransfer(transfer, 'transfer_offered');
+
+    res.status(201).json({
+      transferId: transfer.id,
+      bookingId: booking.id,
+      toUserId: recipientId,
+      status: 'pending',
+      message: `Transfer offered to ${toEmail}. The booking stays yours until they accept.`
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Transfer booking error:', error);
+    res.status(500).json({ error: 'Failed to transfer booking' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// A user's pending transfers, both sent and received
+app.get('/api/transfers/user/:userId', asUser, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const [transfers] = await pool.execute(
+      `SELECT t.*, b.booking_reference, b.ticket_count, e.title AS event_title, e.event_date,
+              fu.email AS from_email, tu.email AS to_email
+       FROM booking_transfers t
+       JOIN bookings b ON t.booking_id = b.id
+       JOIN events e ON b.event_id = e.id
+       JOIN users fu ON t.from_user_id = fu.id
+       JOIN users tu ON t.to_user_id = tu.id
+       WHERE (t.from_user_id = ? OR t.to_user_id = ?) AND t.status = "pending"
+       ORDER BY t.created_at DESC`,
+      [userId, userId]
+    );
+
+    res.json({
+      incoming: transfers.filter(t => String(t.to_user_id) === String(userId)).map(formatTransfer),
+      outgoing: transfers.filter(t => String(t.from_user_id) === String(userId)).map(formatTransfer)
+    });
+  } catch (error) {
+    console.error('Get user transfers error:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+});
+
+// Accept a transfer, moving the booking into the recipient's account
+app.post('/api/transfers/:transferId/accept', asUser, async (req, res) => {
+  const { transferId } = req.params;
+  const userId = req.userId;
+
+  let connection = null;
+
+  try {
+    const [found] = await pool.execute(
+      'SELECT booking_id FROM booking_transfers WHERE id = ? AND to_user_id = ?',
+      [transferId, userId]
+    );
+
+    if (found.length === 0) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await lockUser(connection, userId);
+
+    const [bookings] = await connection.execute(
+      `SELECT b.id, b.user_id, b.event_id, b.ticket_count, b.booking_reference, b.status, b.payment_status, e.event_date
+       FROM bookings b
+       JOIN events e ON b.event_id = e.id
+       WHERE b.id = ?
+       FOR UPDATE OF b`,
+      [found[0].booking_id]
+    );
+    const booking = bookings[0];
+
+    const [transfers] = await connection.execute(
+      'SELECT * FROM booking_transfers WHERE id = ? FOR UPDATE',
+      [transferId]
+    );
+    const transfer = transfers[0];
+
+    if (transfer.status !== 'pending') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Transfer is already ${transfer.status}` });
+    }
+
+    if (booking.status !== 'confirmed' || booking.user_id !== transfer.from_user_id) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'This booking can no longer be transferred' });
+    }
+
+    if (new Date(booking.event_date) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Cannot transfer bookings for past events' });
+    }
+
+    const [existingBookings] = await connection.execute(
+      'SELECT id FROM bookings WHERE user_id = ? AND event_id = ? AND status IN ("pending", "confirmed")',
+      [transfer.to_user_id, booking.event_id]
+    );
+
+    if (existingBookings.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'You already have a booking for this event' });
+    }
+
+    await connection.execute(
+      'UPDATE bookings SET user_id = ?, updated_at = NOW() WHERE id = ?',
+      [transfer.to_user_id, booking.id]
+    );
+
+    await recordChange(connection, booking, 'transfer', {
+      actor: `user:${transfer.to_user_id}`,
+      reason: `Transferred from user ${transfer.from_user_id} to user ${transfer.to_user_id}`
+    });
+
+    // Fresh tickets for the new owner, so the old QR codes stop working
+    await voidTickets(connection, booking.id);
+    await issueTickets(connection, booking);
+
+    await connection.execute(
+      'UPDATE booking_transfers SET status = "accepted", responded_at = NOW() WHERE id = ?',
+      [transfer.id]
+    );
+
+    await connection.commit();
+    await notifyTransfer(transfer, 'booking_transferred');
+
+    res.json({
+      message: 'Transfer accepted. The booking is now yours.',
+      transferId: transfer.id,
+      bookingId: booking.id,
+      bookingReference: booking.booking_reference,
+      status: 'accepted'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Accept transfer error:', error);
+    res.status(500).json({ error: 'Failed to accept transfer' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Closes a pending transfer without moving the booking - the recipient declines
+// it or the sender takes it back
+async function closeTransfer(req, res, { party, status }) {
+  const { transferId } = req.params;
+  const userId = req.userId;
+
+  try {
+    const [transfers] = await pool.execute(
+      `SELECT * FROM booking_transfers WHERE id = ? AND ${party} = ?`,
+      [transferId, userId]
+    );
+
+    if (transfers.length === 0) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    const [result] = await pool.execute(
+      'UPDATE booking_transfers SET status = ?, responded_at = NOW() WHERE id = ? AND status = "pending"',
+      [status, transferId]
+    );
+
+    if (result.affectedRows === 0) {
+      const [current] = await pool.execute('SELECT status FROM booking_transfers WHERE id = ?', [transferId]);
+      return res.status(409).json({ error: `Transfer is already ${current[0].status}` });
+    }
+
+    await notifyTransfer(transfers[0], `transfer_${status}`);
+
+    res.json({ message: `Transfer ${status}`, transferId: transfers[0].id, status });
+  } catch (error) {
+    console.error('Close transfer error:', error);
+    res.status(500).json({ error: 'Failed to update transfer' });
+  }
+}
+
+app.post('/api/transfers/:transferId/decline', asUser, (req, res) =>
+  closeTransfer(req, res, { party: 'to_user_id', status: 'declined' }));
+
+app.post('/api/transfers/:transferId/cancel', asUser, (req, res) =>
+  closeTransfer(req, res, { party: 'from_user_id', status: 'cancelled' }));
+
+// Event cancellation - event-service marks the event cancelled and records a job
+// in event_cancellations; this works through the event's bookings one transaction
+// at a time. Each booking is cancelled and counted in the same transaction, so a
+// redelivered message or the reaper's resume sweep can pick a job up wherever it
+// stopped without cancelling or counting anything twice.
+const EVENT_CANCELLATION_BATCH_SIZE = 50;
+const runningEventCancellations = new Set();
+
+// Returns false if the booking was no longer active
+async function cancelBookingForEvent(bookingId, cancellation) {
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      'SELECT id, user_id, event_id, ticket_count, total_amount, booking_reference, status, payment_status FROM bookings WHERE id = ? AND status IN ("pending", "confirmed") FOR UPDATE',
+      [bookingId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    const booking = bookings[0];
+
+    // No waitlist offers come back - offerToWaitlist skips events that are not on sale
+    await releaseBooking(connection, booking, 'cancel', {
+      actor: 'system:event-cancellation',
+      reason: cancellation.reason
+    });
+
+    const refundAmount = booking.payment_status === 'completed' ? Number(booking.total_amount) : 0;
+
+    // Noted so issue-refund cannot queue a second refund for the same booking
+    const queueRefund = refundAmount > 0 && Boolean(rabbitChannel) &&
+      await requestRefund(connection, { ...booking, status: 'cancelled' }, {
+        actor: 'system:event-cancellation',
+        reason: cancellation.reason
+      });
+
+    await connection.execute(
+      `UPDATE event_cancellations
+       SET cancelled_bookings = cancelled_bookings + 1,
+           refunds_requested = refunds_requested + ?,
+           refund_amount = refund_amount + ?
+       WHERE id = ?`,
+      [queueRefund ? 1 : 0, refundAmount, cancellation.id]
+    );
+
+    await connection.commit();
+
+    if (rabbitChannel) {
+      try {
+        if (queueRefund) {
+          await rabbitChannel.sendToQueue('refund_requests',
+            Buffer.from(JSON.stringify({
+              bookingId: booking.id,
+              userId: booking.user_id,
+              amount: refundAmount,
+              bookingReference: booking.booking_reference,
+              cancellationId: cancellation.id
+            })),
+            { persistent: true }
+          );
+        }
+
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            ticketCount: booking.ticket_count,
+            refundAmount,
+            reason: cancellation.reason,
+            type: 'booking_cancelled'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+async function runEventCancellation(cancellationId) {
+  if (runningEventCancellations.has(cancellationId)) return;
+  runningEventCancellations.add(cancellationId);
+
+  try {
+    const [cancellations] = await pool.execute(
+      'SELECT id, event_id, reason, status FROM event_cancellations WHERE id = ?',
+      [cancellationId]
+    );
+
+    if (cancellations.length === 0 || cancellations[0].status === 'completed') {
+      return;
+    }
+
+    const cancellation = cancellations[0];
+
+    await pool.execute(
+      'UPDATE event_cancellations SET status = "processing" WHERE id = ? AND status = "pending"',
+      [cancellation.id]
+    );
+
+    let count = 0;
+
+    for (;;) {
+      const [batch] = await pool.query(
+        'SELECT id FROM bookings WHERE event_id = ? AND status IN ("pending", "confirmed") ORDER BY id ASC LIMIT ?',
+        [cancellation.event_id, EVENT_CANCELLATION_BATCH_SIZE]
+      );
+
+      if (batch.length === 0) break;
+
+      for (const booking of batch) {
+        if (await cancelBookingForEvent(booking.id, cancellation)) {
+          count++;
+        }
+      }
+    }
+
+    // Nobody is going to be offered tickets for a cancelled event
+    await pool.execute(
+      'UPDATE waitlist_entries SET status = "cancelled", offer_expires_at = NULL, updated_at = NOW() WHERE event_id = ? AND status IN ("waiting", "offered")',
+      [cancellation.event_id]
+    );
+
+    await pool.execute(
+      'UPDATE event_cancellations SET status = "completed", completed_at = NOW() WHERE id = ?',
+      [cancellation.id]
+    );
+
+    await invalidateEventCache(cancellation.event_id);
+
+    console.log(`Event ${cancellation.event_id} cancellation finished, ${count} booking(s) cancelled in this run`);
+  } finally {
+    runningEventCancellations.delete(cancellationId);
+  }
+}
+
+async function handleEventCancellationMessage(msg) {
+  if (!msg) return;
+
+  const { cancellationId } = JSON.parse(msg.content.toString());
+
+  try {
+    await runEventCancellation(cancellationId);
+  } catch (error) {
+    // Left unfinished; the reaper's resume sweep carries on from here
+    console.error(`Event cancellation ${cancellationId} error:`, error);
+  }
+
+  rabbitChannel.ack(msg);
+}
+
+// Refund a paid booking that was cancelled but never had its refund queued, e.g.
+// because the queue was down when its holder cancelled (box office and admins).
+// The request is noted in the booking's history so the same booking is not paid
+// back twice.
+app.post('/api/bookings/:bookingId/issue-refund', requireRole('box_office'), async (req, res) => {
+  const { bookingId } = req.params;
+  const { reason } = req.body;
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      'SELECT id, user_id, booking_reference, total_amount, status, payment_status FROM bookings WHERE id = ? FOR UPDATE',
+      [bookingId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (!getTransition(booking, 'refund')) {
+      await connection.rollback();
+      return res.status(409).json({ error: rejectionMessage(booking, 'refund') });
+    }
+
+    if (!rabbitChannel) {
+      await connection.rollback();
+      return res.status(503).json({ error: 'Refunds are unavailable right now' });
+    }
+
+    const requested = await requestRefund(connection, booking, {
+      actor: `${req.user.role}:${req.user.userId}`,
+      reason
+    });
+
+    if (!requested) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'A refund has already been requested for this booking' });
+    }
+
+    await connection.commit();
+
+    await rabbitChannel.sendToQueue('refund_requests',
+      Buffer.from(JSON.stringify({
+        bookingId: booking.id,
+        userId: booking.user_id,
+        amount: Number(booking.total_amount),
+        bookingReference: booking.booking_reference
+      })),
+      { persistent: true }
+    );
+
+    res.status(202).json({
+      message: 'Refund requested',
+      bookingId: booking.id,
+      refundAmount: Number(booking.total_amount)
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Issue refund error:', error);
+    res.status(500).json({ error: 'Failed to request refund' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Record a full refund of a cancelled booking (called by payment service). Refunds
+// queued by an event cancellation come back with its cancellationId.
+app.post('/api/bookings/:bookingId/refund', requireService, async (req, res) => {
+  const { bookingId } = req.params;
+  const { paymentId, paymentMethod = 'credit_card', cancellationId } = req.body;
+
+  if (!paymentId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      'SELECT id, user_id, event_id, total_amount, status, payment_status FROM bookings WHERE id = ? FOR UPDATE',
+      [bookingId]
+    );
+
+    if (bookings.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookings[0];
+
+    if (!getTransition(booking, 'refund')) {
+      await connection.rollback();
+      return res.status(409).json({ error: rejectionMessage(booking, 'refund') });
+    }
+
+    await applyTransition(connection, booking, 'refund', {
+      actor: 'service:payment-service',
+      reason: `Refund ${paymentId}`
+    });
+
+    await connection.execute(
+      'INSERT INTO payments (booking_id, amount, payment_method, payment_gateway_id, status, created_at) VALUES (?, ?, ?, ?, "refunded", NOW())',
+      [booking.id, booking.total_amount, paymentMethod, paymentId]
+    );
+
+    // Only refunds the cancellation job queued count towards its progress
+    if (cancellationId) {
+      await connection.execute(
+        'UPDATE event_cancellations SET refunds_completed = refunds_completed + 1 WHERE id = ? AND event_id = ?',
+        [cancellationId, booking.event_id]
+      );
+    }
+
+    await connection.commit();
+
+    if (rabbitChannel) {
+      try {
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            refundAmount: Number(booking.total_amount),
+            paymentId,
+            type: 'booking_refunded'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    res.json({
+      message: 'Refund recorded',
+      bookingId: booking.id,
+      status: 'cancelled',
+      paymentStatus: 'refunded'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Refund booking error:', error);
+    res.status(500).json({ error: 'Failed to record refund' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Waitlist - users queue for sold-out general admission events and get a
+// time-limited hold on freed tickets when their turn comes (see offerToWaitlist)
+
+// Closes an offered entry and passes its held tickets to the next in line
+async function withdrawOffer(connection, entry, status) {
+  await connection.execute(
+    'UPDATE waitlist_entries SET status = ?, offer_expires_at = NULL, updated_at = NOW() WHERE id = ?',
+    [status, entry.id]
+  );
+
+  await connection.execute(
+    'UPDATE events SET available_tickets = available_tickets + ?, updated_at = NOW() WHERE id = ?',
+    [entry.ticket_count, entry.event_id]
+  );
+
+  return offerToWaitlist(connection, entry.event_id);
+}
+
+async function getWaitlistPosition(entry) {
+  if (entry.status !== 'waiting') {
+    return null;
+  }
+
+  const [ahead] = await pool.execute(
+    `SELECT COUNT(*) AS count FROM waitlist_entries
+     WHERE event_id = ? AND status = "waiting" AND (created_at < ? OR (created_at = ? AND id < ?))`,
+    [entry.event_id, entry.created_at, entry.created_at, entry.id]
+  );
+
+  return ahead[0].count + 1;
+}
+
+function formatWaitlistEntry(entry, position) {
+  return {
+    waitlistEntryId: entry.id,
+    eventId: entry.event_id,
+    eventTitle: entry.event_title,
+    ticketCount: entry.ticket_count,
+    status: entry.status,
+    position,
+    offerExpiresAt: entry.offer_expires_at,
+    bookingId: entry.booking_id,
+    joinedAt: entry.created_at
+  };
+}
+
+// Join the waitlist for a sold-out event
+app.post('/api/waitlist', asUser, async (req, res) => {
+  const userId = req.userId;
+  const { eventId, ticketCount } = req.body;
+
+  if (!eventId || !ticketCount) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (ticketCount <= 0 || ticketCount > 10) {
+    return res.status(400).json({ error: 'Invalid ticket count (1-10 allowed)' });
+  }
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    if (!(await lockUser(connection, userId))) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [events] = await connection.execute(
+      'SELECT id, title, available_tickets, event_date, reserved_seating, (SELECT COUNT(*) FROM ticket_types WHERE event_id = events.id) AS ticket_type_count FROM events WHERE id = ? AND status = "active" FOR UPDATE',
+      [eventId]
+    );
+
+    if (events.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Event not found or inactive' });
+    }
+
+    const event = events[0];
+
+    if (new Date(event.event_date) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Cannot join the waitlist for past events' });
+    }
+
+    if (event.reserved_seating || event.ticket_type_count > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'The waitlist is only available for general admission events' });
+    }
+
+    const [existingBookings] = await connection.execute(
+      'SELECT id FROM bookings WHERE user_id = ? AND event_id = ? AND status IN ("pending", "confirmed")',
+      [userId, eventId]
+    );
+
+    if (existingBookings.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'You already have a booking for this event' });
+    }
+
+    const [existingEntries] = await connection.execute(
+      'SELECT id FROM waitlist_entries WHERE user_id = ? AND event_id = ? AND status IN ("waiting", "offered")',
+      [userId, eventId]
+    );
+
+    if (existingEntries.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'You are already on the waitlist for this event' });
+    }
+
+    const [queued] = await connection.execute(
+      'SELECT COUNT(*) AS count FROM waitlist_entries WHERE event_id = ? AND status = "waiting"',
+      [eventId]
+    );
+
+    if (queued[0].count === 0 && event.available_tickets >= ticketCount) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Tickets are still available. Please book them directly.' });
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO waitlist_entries (event_id, user_id, ticket_count, status, created_at) VALUES (?, ?, ?, "waiting", NOW())',
+      [eventId, userId, ticketCount]
+    );
+
+    await connection.commit();
+
+    const [entries] = await pool.execute(
+      'SELECT * FROM waitlist_entries WHERE id = ?',
+      [result.insertId]
+    );
+    const entry = { ...entries[0], event_title: event.title };
+
+    res.status(201).json({
+      ...formatWaitlistEntry(entry, await getWaitlistPosition(entry)),
+      message: 'You have joined the waitlist. We will notify you when tickets become available.'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ error: 'Failed to join waitlist' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// A user's active waitlist entries with their positions
+app.get('/api/waitlist/user/:userId', asUser, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const [entries] = await pool.execute(
+      `SELECT w.*, e.title AS event_title
+       FROM waitlist_entries w
+       JOIN events e ON w.event_id = e.id
+       WHERE w.user_id = ? AND w.status IN ("waiting", "offered")
+       ORDER BY w.created_at ASC`,
+      [userId]
+    );
+
+    const result = [];
+    for (const entry of entries) {
+      result.push(formatWaitlistEntry(entry, await getWaitlistPosition(entry)));
+    }
+
+    res.json({ entries: result });
+  } catch (error) {
+    console.error('Get user waitlist error:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist entries' });
+  }
+});
+
+app.get('/api/waitlist/:entryId', asUser, async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const userId = req.userId;
+
+    const [entries] = await pool.execute(
+      `SELECT w.*, e.title AS event_title
+       FROM waitlist_entries w
+       JOIN events e ON w.event_id = e.id
+       WHERE w.id = ? AND w.user_id = ?`,
+      [entryId, userId]
+    );
+
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    res.json(formatWaitlistEntry(entries[0], await getWaitlistPosition(entries[0])));
+  } catch (error) {
+    console.error('Get waitlist entry error:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist entry' });
+  }
+});
+
+// Leave the waitlist, giving up an outstanding offer if there is one
+app.delete('/api/waitlist/:entryId', asUser, async (req, res) => {
+  const { entryId } = req.params;
+  const userId = req.userId;
+
+  let connection = null;
+
+  try {
+    const [found] = await pool.execute(
+      'SELECT event_id FROM waitlist_entries WHERE id = ? AND user_id = ?',
+      [entryId, userId]
+    );
+
+    if (found.length === 0) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    await lockEvent(connection, found[0].event_id);
+
+    const [entries] = await connection.execute(
+      'SELECT id, event_id, user_id, ticket_count, status FROM waitlist_entries WHERE id = ? FOR UPDATE',
+      [entryId]
+    );
+    const entry = entries[0];
+
+    let offers = [];
+
+    if (entry.status === 'offered') {
+      offers = await withdrawOffer(connection, entry, 'left');
+    } else if (entry.status === 'waiting') {
+      await connection.execute(
+        'UPDATE waitlist_entries SET status = "left", updated_at = NOW() WHERE id = ?',
+        [entry.id]
+      );
+    } else {
+      await connection.rollback();
+      return res.status(400).json({ error: `Waitlist entry is already ${entry.status}` });
+    }
+
+    await connection.commit();
+    await invalidateEventCache(entry.event_id);
+    await notifyWaitlistOffers(offers);
+
+    res.json({ message: 'You have left the waitlist', waitlistEntryId: entry.id });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Turn a waitlist offer into a pending booking. The tickets were already taken
+// from the event when the offer was made, so inventory is not touched here.
+app.post('/api/waitlist/:entryId/accept', asUser, idempotent(pool, 'booking-service:accept-waitlist-offer'), async (req, res) => {
+  const { entryId } = req.params;
+  const userId = req.userId;
+
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await lockUser(connection, userId);
+
+    const [entries] = await connection.execute(
+      'SELECT id, event_id, user_id, ticket_count, status, offer_expires_at FROM waitlist_entries WHERE id = ? AND user_id = ? FOR UPDATE',
+      [entryId, userId]
+    );
+
+    if (entries.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    const entry = entries[0];
+
+    if (entry.status !== 'offered' || new Date(entry.offer_expires_at) <= new Date()) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'There is no open offer for this waitlist entry' });
+    }
+
+    const [existingBookings] = await connection.execute(
+      'SELECT id FROM bookings WHERE user_id = ? AND event_id = ? AND status IN ("pending", "confirmed")',
+      [userId, entry.event_id]
+    );
+
+    if (existingBookings.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'You already have a booking for this event' });
+    }
+
+    const [events] = await connection.execute(
+      'SELECT id, title, price, total_tickets, available_tickets, event_date, hold_minutes FROM events WHERE id = ?',
+      [entry.event_id]
+    );
+    const event = events[0];
+
+    const { unitPrice, totalAmount } = await quotePrice(connection, event, entry.ticket_count);
+    const bookingReference = `BK${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+
+    const [bookingResult] = await connection.execute(
+      'INSERT INTO bookings (user_id, event_id, ticket_count, total_amount, unit_price, booking_reference, status, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, "pending", NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+      [userId, entry.event_id, entry.ticket_count, totalAmount, unitPrice, bookingReference, event.hold_minutes]
+    );
+    const bookingId = bookingResult.insertId;
+
+    await recordCreation(connection, bookingId, {
+      actor: `user:${userId}`,
+      reason: `Accepted waitlist offer ${entry.id}`
+    });
+
+    await connection.execute(
+      'UPDATE waitlist_entries SET status = "converted", booking_id = ?, updated_at = NOW() WHERE id = ?',
+      [bookingId, entry.id]
+    );
+
+    await connection.commit();
+
+    await queueNewBooking({
+      bookingId,
+      userId,
+      eventId: entry.event_id,
+      eventTitle: event.title,
+      ticketCount: entry.ticket_count,
+      totalAmount,
+      bookingReference
+    });
+
+    res.status(201).json({
+      bookingId,
+      bookingReference,
+      status: 'pending',
+      totalAmount,
+      ticketCount: entry.ticket_count,
+      eventTitle: event.title,
+      expiresAt: new Date(Date.now() + event.hold_minutes * 60 * 1000).toISOString(),
+      message: `Booking created from your waitlist offer. Please complete payment within ${event.hold_minutes} minutes.`
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({ error: 'Failed to accept waitlist offer' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Expiry reaper - releases tickets held by unpaid bookings and unpaid top-ups once
+// they expire, withdraws waitlist offers nobody took up in time, resumes stalled
+// event cancellations and purges stale idempotency keys.
+// Every replica runs the timer, but only the holder of the leader lock sweeps.
+const REAPER_LEADER_KEY = 'booking_expiry_reaper:leader';
+const reaperInstanceId = uuidv4();
+let reaperTimer = null;
+let reaperRunning = false;
+
+async function holdReaperLeadership() {
+  const ttl = EXPIRY_REAPER_INTERVAL_MS * 3;
+  const script = `
+    if redis.call("get", KEYS[1]) == ARGV[1] then
+      return redis.call("pexpire", KEYS[1], ARGV[2])
+    else
+      return 0
+    end
+  `;
+
+  try {
+    const renewed = await redisClient.eval(script, {
+      keys: [REAPER_LEADER_KEY],
+      arguments: [reaperInstanceId, String(ttl)]
+    });
+
+    if (renewed === 1) {
+      return true;
+    }
+
+    const result = await redisClient.set(REAPER_LEADER_KEY, reaperInstanceId, {
+      PX: ttl,
+      NX: true
+    });
+    return result === 'OK';
+  } catch (error) {
+    console.error('Reaper leader lock error:', error);
+    return false;
+  }
+}
+
+async function expireBooking(bookingId) {
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [bookings] = await connection.execute(
+      'SELECT id, user_id, event_id, ticket_count, booking_reference, status, payment_status FROM bookings WHERE id = ? AND status = "pending" AND expires_at < NOW() FOR UPDATE',
+      [bookingId]
+    );
+
+    // Paid or cancelled since the sweep query ran
+    if (bookings.length === 0 || !getTransition(bookings[0], 'expire')) {
+      await connection.rollback();
+      return false;
+    }
+
+    const booking = bookings[0];
+
+    const offers = await releaseBooking(connection, booking, 'expire', {
+      actor: 'system:expiry-reaper',
+      reason: 'Payment not completed before hold expired'
+    });
+
+    await connection.commit();
+    await invalidateEventCache(booking.event_id);
+    await notifyWaitlistOffers(offers);
+
+    if (rabbitChannel) {
+      try {
+        await rabbitChannel.sendToQueue('booking_notifications',
+          Buffer.from(JSON.stringify({
+            bookingId: booking.id,
+            userId: booking.user_id,
+            eventId: booking.event_id,
+            ticketCount: booking.ticket_count,
+            bookingReference: booking.booking_reference,
+            type: 'booking_expired'
+          })),
+          { persistent: true }
+        );
+      } catch (mqError) {
+        console.error('Message queue error:', mqError);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error(`Expire booking ${bookingId} error:`, error);
+    return false;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+async function expireWaitlistOffer(entryId, eventId) {
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await lockEvent(connection, eventId);
+
+    const [entries] = await connection.execute(
+      'SELECT id, event_id, user_id, ticket_count FROM waitlist_entries WHERE id = ? AND status = "offered" AND offer_expires_at < NOW() FOR UPDATE',
+      [entryId]
+    );
+
+    if (entries.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    const offers = await withdrawOffer(connection, entries[0], 'expired');
+
+    await connection.commit();
+    await invalidateEventCache(eventId);
+    await notifyWaitlistOffers(offers);
+
+    return true;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error(`Expire waitlist offer ${entryId} error:`, error);
+    return false;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+async function expireTopUp(adjustmentId, bookingId) {
+  let connection = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const { booking, adjustment } = await lockAdjustment(connection, bookingId, adjustmentId);
+
+    // Paid or failed since the sweep query ran
+    if (!adjustment || adjustment.status !== 'pending' || new Date(adjustment.expires_at) > new Date()) {
+      await connection.rollback();
+      return false;
+    }
+
+    const offers = await releaseTopUp(connection, booking.event_id, adjustment, 'expired');
+
+    await connection.commit();
+    await invalidateEventCache(booking.event_id);
+    await notifyWaitlistOffers(offers);
+
+    return true;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error(`Expire top-up ${adjustmentId} error:`, error);
+    return false;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+async function reapExpiredBookings() {
+  if (reaperRunning) return;
+  reaperRunning = true;
+
+  try {
+    if (!(await holdReaperLeadership())) {
+      return;
+    }
+
+    const [expired] = await pool.query(
+      'SELECT id FROM bookings WHERE status = "pending" AND expires_at < NOW() ORDER BY expires_at ASC LIMIT ?',
+      [EXPIRY_REAPER_BATCH_SIZE]
+    );
+
+    let count = 0;
+    for (const booking of expired) {
+      if (await expireBooking(booking.id)) {
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      console.log(`Expiry reaper released ${count} expired booking(s)`);
+    }
+
+    const [lapsedOffers] = await pool.query(
+      'SELECT id, event_id FROM waitlist_entries WHERE status = "offered" AND offer_expires_at < NOW() ORDER BY offer_expires_at ASC LIMIT ?',
+      [EXPIRY_REAPER_BATCH_SIZE]
+    );
+
+    let offerCount = 0;
+    for (const entry of lapsedOffers) {
+      if (await expireWaitlistOffer(entry.id, entry.event_id)) {
+        offerCount++;
+      }
+    }
+
+    if (offerCount > 0) {
+      console.log(`Expiry reaper withdrew ${offerCount} lapsed waitlist offer(s)`);
+    }
+
+    const [lapsedTopUps] = await pool.query(
+      'SELECT id, booking_id FROM booking_adjustments WHERE kind = "top_up" AND status = "pending" AND expires_at < NOW() ORDER BY expires_at ASC LIMIT ?',
+      [EXPIRY_REAPER_BATCH_SIZE]
+    );
+
+    let topUpCount = 0;
+    for (const adjustment of lapsedTopUps) {
+      if (await expireTopUp(adjustment.id, adjustment.booking_id)) {
+        topUpCount++;
+      }
+    }
+
+    if (topUpCount > 0) {
+      console.log(`Expiry reaper released ${topUpCount} unpaid top-up(s)`);
+    }
+
+    // A job that has not moved for a minute lost its message or its worker
+    const [stalledCancellations] = await pool.query(
+      'SELECT id FROM event_cancellations WHERE status IN ("pending", "processing") AND updated_at < NOW() - INTERVAL 1 MINUTE ORDER BY id ASC LIMIT ?',
+      [EXPIRY_REAPER_BATCH_SIZE]
+    );
+
+    for (const cancellation of stalledCancellations) {
+      try {
+        await runEventCancellation(cancellation.id);
+      } catch (error) {
+        console.error(`Event cancellation ${cancellation.id} error:`, error);
+      }
+    }
+
+    await pool.query('DELETE FROM idempotency_keys WHERE expires_at < NOW() LIMIT ?', [EXPIRY_REAPER_BATCH_SIZE * 10]);
+  } catch (error) {
+    console.error('Expiry reaper error:', error);
+  } finally {
+    reaperRunning = false;
+  }
+}
+
+// Initialize RabbitMQ
+initRabbitMQ();
+
+reaperTimer = setInterval(reapExpiredBookings, EXPIRY_REAPER_INTERVAL_MS);
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Booking service running on port ${PORT}`);
@@ -336,6 +3161,7 @@ app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(reaperTimer);
   if (rabbitConnection) await rabbitConnection.close();
   await pool.end();
   await redisClient.quit();
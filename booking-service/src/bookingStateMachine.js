@@ -0,0 +1,131 @@
+// Booking lifecycle. Every change to bookings.status / bookings.payment_status
+// goes through applyTransition so illegal moves are rejected and each step
+// lands in booking_history.
+
+const TRANSITIONS = {
+  confirm_payment: {
+    from: { status: ['pending'], paymentStatus: ['pending'] },
+    to: { status: 'confirmed', paymentStatus: 'completed' }
+  },
+  fail_payment: {
+    from: { status: ['pending'], paymentStatus: ['pending'] },
+    to: { status: 'cancelled', paymentStatus: 'failed' }
+  },
+  cancel: {
+    from: { status: ['pending', 'confirmed'], paymentStatus: ['pending', 'completed'] },
+    to: { status: 'cancelled' }
+  },
+  expire: {
+    from: { status: ['pending'], paymentStatus: ['pending'] },
+    to: { status: 'expired' }
+  },
+  refund: {
+    from: { status: ['cancelled'], paymentStatus: ['completed'] },
+    to: { paymentStatus: 'refunded' }
+  }
+};
+
+// Returns the { status, paymentStatus } the booking would move to, or null if
+// the action is not allowed from its current state
+function getTransition(booking, action) {
+  const transition = TRANSITIONS[action];
+
+  if (!transition) {
+    return null;
+  }
+
+  if (!transition.from.status.includes(booking.status) ||
+      !transition.from.paymentStatus.includes(booking.payment_status)) {
+    return null;
+  }
+
+  return {
+    status: transition.to.status || booking.status,
+    paymentStatus: transition.to.paymentStatus || booking.payment_status
+  };
+}
+
+const ACTION_LABELS = {
+  confirm_payment: 'confirm payment for',
+  fail_payment: 'fail payment for',
+  cancel: 'cancel',
+  expire: 'expire',
+  refund: 'refund'
+};
+
+function rejectionMessage(booking, action) {
+  const label = ACTION_LABELS[action] || action;
+  return `Cannot ${label} a booking that is ${booking.status} (payment ${booking.payment_status})`;
+}
+
+// Must run inside the caller's transaction with the booking row locked FOR UPDATE
+async function applyTransition(connection, booking, action, { actor, reason } = {}) {
+  const next = getTransition(booking, action);
+
+  if (!next) {
+    throw new Error(rejectionMessage(booking, action));
+  }
+
+  await connection.execute(
+    'UPDATE bookings SET status = ?, payment_status = ?, updated_at = NOW() WHERE id = ?',
+    [next.status, next.paymentStatus, booking.id]
+  );
+
+  await connection.execute(
+    `INSERT INTO booking_history
+       (booking_id, action, from_status, to_status, from_payment_status, to_payment_status, actor, reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [booking.id, action, booking.status, next.status, booking.payment_status, next.paymentStatus,
+      actor || null, reason || null]
+  );
+
+  return next;
+}
+
+async function recordCreation(connection, bookingId, { actor, reason } = {}) {
+  await connection.execute(
+    `INSERT INTO booking_history
+       (booking_id, action, from_status, to_status, from_payment_status, to_payment_status, actor, reason, created_at)
+     VALUES (?, 'create', NULL, 'pending', NULL, 'pending', ?, ?, NOW())`,
+    [bookingId, actor || null, reason || null]
+  );
+}
+
+// For changes that leave the status alone, such as a new ticket count or owner
+async function recordChange(connection, booking, action, { actor, reason } = {}) {
+  await connection.execute(
+    `INSERT INTO booking_history
+       (booking_id, action, from_status, to_status, from_payment_status, to_payment_status, actor, reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [booking.id, action, booking.status, booking.status, booking.payment_status, booking.payment_status,
+      actor || null, reason || null]
+  );
+}
+
+// Notes in the booking's history that its refund has been queued, unless that
+// has happened already, in which case it returns false and the caller must not
+// queue another. Run with the booking row locked, in the transaction that
+// decides on the refund.
+async function requestRefund(connection, booking, details) {
+  const [requested] = await connection.execute(
+    'SELECT id FROM booking_history WHERE booking_id = ? AND action = "refund_requested"',
+    [booking.id]
+  );
+
+  if (requested.length > 0) {
+    return false;
+  }
+
+  await recordChange(connection, booking, 'refund_requested', details);
+  return true;
+}
+
+module.exports = {
+  TRANSITIONS,
+  getTransition,
+  rejectionMessage,
+  applyTransition,
+  recordCreation,
+  recordChange,
+  requestRefund
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for POST endpoints. The first request with a key
+// claims it in MySQL and its response is stored; repeats with the same key and
+// body get that response replayed instead of running the handler again.
+// Keep in step with payment-service/src/idempotency.js.
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+// Contention and server errors are worth retrying, so they are not remembered
+function isReplayable(status) {
+  return status < 500 && status !== 429;
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+async function claimKey(pool, scope, key, requestHash) {
+  try {
+    await pool.execute(
+      'INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, created_at, expires_at) VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? HOUR))',
+      [scope, key, requestHash, KEY_TTL_HOURS]
+    );
+    return null;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  }
+
+  const [records] = await pool.execute(
+    'SELECT request_hash, response_status, response_body, expires_at FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+    [scope, key]
+  );
+
+  return records[0] || null;
+}
+
+// Mount after the route's authentication: keys are kept per signed-in user, so
+// one user's key never replays another user's response.
+function idempotent(pool, routeScope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    const scope = req.user ? `${routeScope}:user:${req.user.userId}` : routeScope;
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const requestHash = hashRequest(req);
+
+    try {
+      let record = await claimKey(pool, scope, key, requestHash);
+
+      // An expired key is free to be used again
+      if (record && new Date(record.expires_at) <= new Date()) {
+        await pool.execute(
+          'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at <= NOW()',
+          [scope, key]
+        );
+        record = await claimKey(pool, scope, key, requestHash);
+      }
+
+      if (record) {
+        if (record.request_hash !== requestHash) {
+          return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+        }
+
+        if (record.response_status === null) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(JSON.parse(record.response_body));
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      const status = res.statusCode;
+
+      const save = isReplayable(status)
+        ? pool.execute(
+          'UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE scope = ? AND idempotency_key = ?',
+          [status, JSON.stringify(body), scope, key]
+        )
+        : pool.execute(
+          'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+          [scope, key]
+        );
+
+      save.catch(error => console.error('Idempotency key save error:', error));
+
+      return originalJson(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { idempotent };
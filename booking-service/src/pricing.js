@@ -0,0 +1,80 @@
+// Demand-based pricing. Organizers attach rules to an event's base price
+// (events.price); a booking's price per ticket is worked out when its tickets
+// are held and locked into bookings.unit_price. Events sold by ticket type are
+// priced by their tiers instead and ignore these rules.
+//
+// Rule kinds, each setting the price per ticket while it applies:
+//   early_bird   - until ends_at
+//   sell_through - once threshold_percent of the tickets are sold or held
+//   last_minute  - within hours_before hours of the event starting
+//
+// When several apply, last_minute wins over sell_through, which wins over
+// early_bird; among sell-through rules the highest threshold crossed wins.
+
+const KIND_PRECEDENCE = ['last_minute', 'sell_through', 'early_bird'];
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function soldPercent(event) {
+  if (!event.total_tickets) {
+    return 0;
+  }
+  return (event.total_tickets - event.available_tickets) / event.total_tickets * 100;
+}
+
+function ruleApplies(rule, event, now) {
+  switch (rule.kind) {
+    case 'early_bird':
+      return now < new Date(rule.ends_at);
+    case 'sell_through':
+      return soldPercent(event) >= rule.threshold_percent;
+    case 'last_minute':
+      return new Date(event.event_date).getTime() - now.getTime() <= rule.hours_before * 60 * 60 * 1000;
+    default:
+      return false;
+  }
+}
+
+// Picks the rule in force for an event. `event` needs price, total_tickets,
+// available_tickets and event_date. Returns { unitPrice, basePrice, rule }.
+function evaluatePrice(event, rules, now = new Date()) {
+  const basePrice = Number(event.price);
+  const applicable = rules.filter(rule => ruleApplies(rule, event, now));
+
+  for (const kind of KIND_PRECEDENCE) {
+    const candidates = applicable
+      .filter(rule => rule.kind === kind)
+      .sort((a, b) => (b.threshold_percent || 0) - (a.threshold_percent || 0) || a.id - b.id);
+
+    if (candidates.length > 0) {
+      return { unitPrice: Number(candidates[0].price), basePrice, rule: candidates[0] };
+    }
+  }
+
+  return { unitPrice: basePrice, basePrice, rule: null };
+}
+
+// Current price of `quantity` general admission or reserved seating tickets
+async function quotePrice(connection, event, quantity, now = new Date()) {
+  const [rules] = await connection.execute(
+    'SELECT id, kind, price, ends_at, threshold_percent, hours_before FROM pricing_rules WHERE event_id = ?',
+    [event.id]
+  );
+
+  const { unitPrice, basePrice, rule } = evaluatePrice(event, rules, now);
+
+  return {
+    unitPrice,
+    basePrice,
+    totalAmount: roundMoney(unitPrice * quantity),
+    appliedRule: rule ? { id: rule.id, kind: rule.kind } : null
+  };
+}
+
+module.exports = {
+  evaluatePrice,
+  quotePrice,
+  roundMoney
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Admission tickets. Every ticket row has a random code; the QR code holds
+// "<payload>.<signature>", where the payload names the code and event and the
+// signature is an HMAC of it, so forged or edited codes are turned away before
+// the database is consulted.
+
+const TICKET_SIGNING_SECRET = process.env.TICKET_SIGNING_SECRET || 'change-this-ticket-signing-secret';
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TICKET_SIGNING_SECRET).update(payload).digest('base64url');
+}
+
+function signTicketToken(ticket) {
+  const payload = Buffer.from(JSON.stringify({ c: ticket.ticket_code, e: ticket.event_id })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { code, eventId } for a genuine token, or null
+function verifyTicketToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  try {
+    const { c, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof c === 'string' && Number.isInteger(e) ? { code: c, eventId: e } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Issues tickets for a paid booking: one per seat for reserved seating, one per
+// unit of each tier for tiered bookings, otherwise `count` admission tickets.
+// Must run inside the caller's transaction.
+async function issueTickets(connection, booking, count = booking.ticket_count) {
+  const [seats] = await connection.execute(
+    'SELECT id FROM seats WHERE booking_id = ? ORDER BY section, row_label, seat_number',
+    [booking.id]
+  );
+
+  const [items] = await connection.execute(
+    'SELECT ticket_type_id, quantity FROM booking_items WHERE booking_id = ?',
+    [booking.id]
+  );
+
+  let places;
+
+  if (seats.length > 0) {
+    places = seats.map(seat => ({ seatId: seat.id, ticketTypeId: null }));
+  } else if (items.length > 0) {
+    places = items.flatMap(item =>
+      Array.from({ length: item.quantity }, () => ({ seatId: null, ticketTypeId: item.ticket_type_id })));
+  } else {
+    places = Array.from({ length: count }, () => ({ seatId: null, ticketTypeId: null }));
+  }
+
+  for (const place of places) {
+    await connection.execute(
+      'INSERT INTO tickets (booking_id, event_id, seat_id, ticket_type_id, ticket_code, status, created_at) VALUES (?, ?, ?, ?, ?, "valid", NOW())',
+      [booking.id, booking.event_id, place.seatId, place.ticketTypeId, crypto.randomBytes(16).toString('hex')]
+    );
+  }
+
+  return places.length;
+}
+
+// Voids a booking's unused tickets - all of them, or only the newest `count`
+async function voidTickets(connection, bookingId, count = null) {
+  if (count === null) {
+    await connection.execute(
+      'UPDATE tickets SET status = "void", updated_at = NOW() WHERE booking_id = ? AND status = "valid"',
+      [bookingId]
+    );
+    return;
+  }
+
+  await connection.query(
+    'UPDATE tickets SET status = "void", updated_at = NOW() WHERE booking_id = ? AND status = "valid" ORDER BY id DESC LIMIT ?',
+    [bookingId, count]
+  );
+}
+
+module.exports = {
+  signTicketToken,
+  verifyTicketToken,
+  issueTickets,
+  voidTickets
+};
@@ -0,0 +1,178 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TRANSITIONS, getTransition, rejectionMessage, applyTransition, requestRefund } = require('../src/bookingStateMachine');
+
+// Stands in for a mysql2 connection, keeping the statements it was given
+function recordingConnection() {
+  const statements = [];
+  return {
+    statements,
+    execute: async (sql, params) => {
+      statements.push({ sql, params });
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+// Stands in for a connection over booking_history alone
+function historyConnection() {
+  const history = [];
+  return {
+    history,
+    execute: async (sql, params) => {
+      if (sql.startsWith('SELECT')) {
+        const [bookingId] = params;
+        return [history.filter(row => row.bookingId === bookingId && row.action === 'refund_requested')];
+      }
+      const [bookingId, action, , , , , actor, reason] = params;
+      history.push({ bookingId, action, actor, reason });
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+const STATUSES = ['pending', 'confirmed', 'cancelled', 'expired'];
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+
+describe('getTransition', () => {
+  test('confirms a pending booking once paid', () => {
+    assert.deepEqual(
+      getTransition({ status: 'pending', payment_status: 'pending' }, 'confirm_payment'),
+      { status: 'confirmed', paymentStatus: 'completed' }
+    );
+  });
+
+  test('cancels a booking whose payment failed', () => {
+    assert.deepEqual(
+      getTransition({ status: 'pending', payment_status: 'pending' }, 'fail_payment'),
+      { status: 'cancelled', paymentStatus: 'failed' }
+    );
+  });
+
+  test('keeps the payment status when cancelling', () => {
+    assert.deepEqual(
+      getTransition({ status: 'confirmed', payment_status: 'completed' }, 'cancel'),
+      { status: 'cancelled', paymentStatus: 'completed' }
+    );
+    assert.deepEqual(
+      getTransition({ status: 'pending', payment_status: 'pending' }, 'cancel'),
+      { status: 'cancelled', paymentStatus: 'pending' }
+    );
+  });
+
+  test('expires only unpaid holds', () => {
+    assert.deepEqual(
+      getTransition({ status: 'pending', payment_status: 'pending' }, 'expire'),
+      { status: 'expired', paymentStatus: 'pending' }
+    );
+    assert.equal(getTransition({ status: 'confirmed', payment_status: 'completed' }, 'expire'), null);
+  });
+
+  test('refunds only cancelled bookings that were paid', () => {
+    assert.deepEqual(
+      getTransition({ status: 'cancelled', payment_status: 'completed' }, 'refund'),
+      { status: 'cancelled', paymentStatus: 'refunded' }
+    );
+    assert.equal(getTransition({ status: 'confirmed', payment_status: 'completed' }, 'refund'), null);
+    assert.equal(getTransition({ status: 'cancelled', payment_status: 'refunded' }, 'refund'), null);
+  });
+
+  test('allows nothing out of a finished booking', () => {
+    for (const status of ['cancelled', 'expired']) {
+      for (const action of ['confirm_payment', 'fail_payment', 'cancel', 'expire']) {
+        for (const paymentStatus of PAYMENT_STATUSES) {
+          assert.equal(getTransition({ status, payment_status: paymentStatus }, action), null,
+            `${action} from ${status}/${paymentStatus}`);
+        }
+      }
+    }
+  });
+
+  test('only allows moves listed in TRANSITIONS', () => {
+    for (const [action, { from }] of Object.entries(TRANSITIONS)) {
+      for (const status of STATUSES) {
+        for (const paymentStatus of PAYMENT_STATUSES) {
+          const allowed = from.status.includes(status) && from.paymentStatus.includes(paymentStatus);
+          assert.equal(getTransition({ status, payment_status: paymentStatus }, action) !== null, allowed,
+            `${action} from ${status}/${paymentStatus}`);
+        }
+      }
+    }
+  });
+
+  test('rejects unknown actions', () => {
+    assert.equal(getTransition({ status: 'pending', payment_status: 'pending' }, 'teleport'), null);
+  });
+});
+
+describe('rejectionMessage', () => {
+  test('names the action and the state it was refused in', () => {
+    assert.equal(
+      rejectionMessage({ status: 'expired', payment_status: 'pending' }, 'confirm_payment'),
+      'Cannot confirm payment for a booking that is expired (payment pending)'
+    );
+  });
+
+  test('falls back to the action name', () => {
+    assert.equal(
+      rejectionMessage({ status: 'pending', payment_status: 'pending' }, 'teleport'),
+      'Cannot teleport a booking that is pending (payment pending)'
+    );
+  });
+});
+
+describe('applyTransition', () => {
+  test('updates the booking and records the step in its history', async () => {
+    const connection = recordingConnection();
+    const booking = { id: 7, status: 'pending', payment_status: 'pending' };
+
+    const next = await applyTransition(connection, booking, 'confirm_payment', {
+      actor: 'service:payment-service',
+      reason: 'Payment PAY_1'
+    });
+
+    assert.deepEqual(next, { status: 'confirmed', paymentStatus: 'completed' });
+    assert.equal(connection.statements.length, 2);
+    assert.match(connection.statements[0].sql, /^UPDATE bookings/);
+    assert.deepEqual(connection.statements[0].params, ['confirmed', 'completed', 7]);
+    assert.match(connection.statements[1].sql, /INSERT INTO booking_history/);
+    assert.deepEqual(connection.statements[1].params,
+      [7, 'confirm_payment', 'pending', 'confirmed', 'pending', 'completed', 'service:payment-service', 'Payment PAY_1']);
+  });
+
+  test('throws without touching the database for an illegal move', async () => {
+    const connection = recordingConnection();
+
+    await assert.rejects(
+      applyTransition(connection, { id: 7, status: 'cancelled', payment_status: 'failed' }, 'confirm_payment'),
+      { message: 'Cannot confirm payment for a booking that is cancelled (payment failed)' }
+    );
+    assert.equal(connection.statements.length, 0);
+  });
+});
+
+describe('requestRefund', () => {
+  const booking = { id: 7, status: 'cancelled', payment_status: 'completed' };
+
+  test('notes the refund in the booking history', async () => {
+    const connection = historyConnection();
+
+    assert.equal(await requestRefund(connection, booking, { actor: 'user:3', reason: 'User cancelled' }), true);
+    assert.deepEqual(connection.history, [{ bookingId: 7, action: 'refund_requested', actor: 'user:3', reason: 'User cancelled' }]);
+  });
+
+  test('refuses a box office refund once the event cancellation queued one', async () => {
+    const connection = historyConnection();
+
+    assert.equal(await requestRefund(connection, booking, { actor: 'system:event-cancellation', reason: 'Venue closed' }), true);
+    assert.equal(await requestRefund(connection, booking, { actor: 'box_office:9' }), false);
+    assert.equal(connection.history.length, 1);
+  });
+
+  test('keeps bookings apart', async () => {
+    const connection = historyConnection();
+
+    await requestRefund(connection, booking, { actor: 'user:3' });
+    assert.equal(await requestRefund(connection, { ...booking, id: 8 }, { actor: 'user:4' }), true);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePrice, quotePrice, roundMoney } = require('../src/pricing');
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+
+// 1000 tickets at 50.00, 40% sold, starting ten days after NOW
+function event(overrides = {}) {
+  return {
+    id: 1,
+    price: '50.00',
+    total_tickets: 1000,
+    available_tickets: 600,
+    event_date: new Date('2025-06-11T12:00:00Z'),
+    ...overrides
+  };
+}
+
+const earlyBird = { id: 1, kind: 'early_bird', price: '35.00', ends_at: new Date('2025-06-05T00:00:00Z') };
+const sellThrough30 = { id: 2, kind: 'sell_through', price: '60.00', threshold_percent: 30 };
+const sellThrough40 = { id: 3, kind: 'sell_through', price: '70.00', threshold_percent: 40 };
+const sellThrough90 = { id: 4, kind: 'sell_through', price: '90.00', threshold_percent: 90 };
+const lastMinute = { id: 5, kind: 'last_minute', price: '45.00', hours_before: 240 };
+
+describe('evaluatePrice', () => {
+  test('charges the base price without rules', () => {
+    assert.deepEqual(evaluatePrice(event(), [], NOW), { unitPrice: 50, basePrice: 50, rule: null });
+  });
+
+  test('applies an early bird rule until it ends', () => {
+    assert.equal(evaluatePrice(event(), [earlyBird], NOW).unitPrice, 35);
+    assert.equal(evaluatePrice(event(), [earlyBird], new Date('2025-06-05T00:00:00Z')).unitPrice, 50);
+  });
+
+  test('applies a sell-through rule once its threshold is reached', () => {
+    assert.equal(evaluatePrice(event(), [sellThrough90], NOW).unitPrice, 50);
+    assert.equal(evaluatePrice(event({ available_tickets: 100 }), [sellThrough90], NOW).unitPrice, 90);
+  });
+
+  test('picks the highest sell-through threshold crossed', () => {
+    const { unitPrice, rule } = evaluatePrice(event(), [sellThrough30, sellThrough40, sellThrough90], NOW);
+    assert.equal(unitPrice, 70);
+    assert.equal(rule.id, 3);
+  });
+
+  test('applies a last minute rule within its hours before the event', () => {
+    assert.equal(evaluatePrice(event(), [lastMinute], NOW).unitPrice, 45);
+    assert.equal(evaluatePrice(event({ event_date: new Date('2025-06-12T12:00:00Z') }), [lastMinute], NOW).unitPrice, 50);
+  });
+
+  test('ranks last minute over sell-through over early bird', () => {
+    const rules = [earlyBird, sellThrough30, lastMinute];
+    assert.equal(evaluatePrice(event(), rules, NOW).rule.kind, 'last_minute');
+    assert.equal(evaluatePrice(event(), [earlyBird, sellThrough30], NOW).rule.kind, 'sell_through');
+    assert.equal(evaluatePrice(event(), [earlyBird, sellThrough90], NOW).rule.kind, 'early_bird');
+  });
+
+  test('breaks ties between rules of the same kind by ID', () => {
+    const first = { ...earlyBird, id: 8, price: '30.00' };
+    const second = { ...earlyBird, id: 9, price: '20.00' };
+    assert.equal(evaluatePrice(event(), [second, first], NOW).rule.id, 8);
+  });
+
+  test('treats an event without tickets as unsold', () => {
+    assert.equal(evaluatePrice(event({ total_tickets: 0, available_tickets: 0 }), [sellThrough30], NOW).unitPrice, 50);
+  });
+});
+
+describe('quotePrice', () => {
+  test('prices the quantity with the rule in force', async () => {
+    const connection = {
+      execute: async (sql, params) => {
+        assert.match(sql, /FROM pricing_rules WHERE event_id = \?/);
+        assert.deepEqual(params, [1]);
+        return [[earlyBird]];
+      }
+    };
+
+    assert.deepEqual(await quotePrice(connection, event({ price: '49.99' }), 3, NOW), {
+      unitPrice: 35,
+      basePrice: 49.99,
+      totalAmount: 105,
+      appliedRule: { id: 1, kind: 'early_bird' }
+    });
+  });
+});
+
+describe('roundMoney', () => {
+  test('rounds to whole cents', () => {
+    assert.equal(roundMoney(0.1 + 0.2), 0.3);
+    assert.equal(roundMoney(19.999), 20);
+    assert.equal(roundMoney(3 * 33.33), 99.99);
+  });
+});
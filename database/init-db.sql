@@ -13,28 +13,208 @@ CREATE TABLE users (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     status ENUM('active', 'inactive') DEFAULT 'active',
+    -- Accounts sign up as customers; the first admin is promoted here by hand:
+    -- UPDATE users SET role = 'admin' WHERE email = '...';
+    role ENUM('customer', 'organizer', 'box_office', 'admin') NOT NULL DEFAULT 'customer',
+    -- Set once the user follows the link in their verification email; login
+    -- waits for it
+    email_verified_at DATETIME NULL,
     INDEX idx_email (email),
     INDEX idx_status (status)
 );
 
+-- Signed-in sessions. Each session has a chain of refresh tokens: only the
+-- newest unused one can be swapped, and a used one coming back revokes the session.
+CREATE TABLE user_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    revoked_reason VARCHAR(50) NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_active (revoked_at, expires_at)
+);
+
+CREATE TABLE refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (session_id) REFERENCES user_sessions(id),
+    UNIQUE KEY uniq_token_hash (token_hash),
+    INDEX idx_session_id (session_id)
+);
+
+-- Audit log of every login attempt, including ones for addresses with no account
+CREATE TABLE login_attempts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    user_id INT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    outcome ENUM('success', 'invalid_credentials', 'unverified', 'inactive', 'throttled', 'locked') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_email_created (email, created_at),
+    INDEX idx_ip_created (ip_address, created_at)
+);
+
+-- Single-use links sent by email, stored as SHA-256 hashes. Issuing a new one
+-- for the same purpose retires any the user still holds.
+CREATE TABLE account_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    purpose ENUM('verify_email', 'reset_password') NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    UNIQUE KEY uniq_token_hash (token_hash),
+    INDEX idx_user_purpose (user_id, purpose)
+);
+
+-- Venues and their layout. Sections with rows and seats_per_row are seated and
+-- are copied into seats for reserved seating events; the rest are standing room.
+CREATE TABLE venues (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(255) NOT NULL,
+    address VARCHAR(255),
+    city VARCHAR(100),
+    country VARCHAR(100),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    capacity INT NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    INDEX idx_name (name)
+);
+
+CREATE TABLE venue_sections (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    venue_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    capacity INT NOT NULL,
+    row_count INT NULL,
+    seats_per_row INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (venue_id) REFERENCES venues(id),
+    UNIQUE KEY uniq_venue_section (venue_id, name)
+);
+
+-- Recurring events. Each occurrence is an ordinary events row pointing back at
+-- its series; recurrence_rule is the RRULE the occurrences were generated from.
+CREATE TABLE event_series (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    recurrence_rule VARCHAR(255) NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
 -- Events table
 CREATE TABLE events (
     id INT PRIMARY KEY AUTO_INCREMENT,
     title VARCHAR(255) NOT NULL,
     description TEXT,
     venue VARCHAR(255) NOT NULL,
+    venue_id INT NULL,
+    series_id INT NULL,
     event_date DATETIME NOT NULL,
     total_tickets INT NOT NULL,
     available_tickets INT NOT NULL,
     price DECIMAL(10,2) NOT NULL,
-    status ENUM('active', 'inactive', 'cancelled') DEFAULT 'active',
+    hold_minutes INT NOT NULL DEFAULT 15,
+    reserved_seating BOOLEAN NOT NULL DEFAULT FALSE,
+    on_sale_at DATETIME NULL,
+    off_sale_at DATETIME NULL,
+    status ENUM('active', 'inactive', 'cancelled', 'archived') DEFAULT 'active',
+    created_by INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (venue_id) REFERENCES venues(id),
+    FOREIGN KEY (series_id) REFERENCES event_series(id),
+    INDEX idx_venue_id (venue_id),
+    INDEX idx_series_id (series_id),
     INDEX idx_event_date (event_date),
     INDEX idx_status (status),
     INDEX idx_available_tickets (available_tickets)
 );
 
+-- Ticket tiers (VIP, standard, student...) for events that sell more than one price
+CREATE TABLE ticket_types (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    price DECIMAL(10,2) NOT NULL,
+    quota INT NOT NULL,
+    sold INT NOT NULL DEFAULT 0,
+    per_order_limit INT NOT NULL DEFAULT 10,
+    sales_start DATETIME NULL,
+    sales_end DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    UNIQUE KEY uniq_event_ticket_type (event_id, name),
+    INDEX idx_event_id (event_id)
+);
+
+-- Pricing rules on an event's base price; booking-service picks the one in
+-- force when tickets are held (see booking-service/src/pricing.js). Only the
+-- column for the rule's kind is set.
+CREATE TABLE pricing_rules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    kind ENUM('early_bird', 'sell_through', 'last_minute') NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    ends_at DATETIME NULL,
+    threshold_percent INT NULL,
+    hours_before INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    INDEX idx_event_id (event_id)
+);
+
+-- Presales: windows before on_sale_at in which holders of an access code can
+-- book. Each code can be used max_uses times.
+CREATE TABLE presales (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    INDEX idx_event_window (event_id, starts_at, ends_at)
+);
+
+CREATE TABLE access_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    presale_id INT NOT NULL,
+    code VARCHAR(64) NOT NULL,
+    max_uses INT NOT NULL DEFAULT 1,
+    uses INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (presale_id) REFERENCES presales(id),
+    UNIQUE KEY uniq_event_code (event_id, code),
+    INDEX idx_presale_id (presale_id)
+);
+
 -- Bookings table
 CREATE TABLE bookings (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -42,14 +222,17 @@ CREATE TABLE bookings (
     event_id INT NOT NULL,
     ticket_count INT NOT NULL,
     total_amount DECIMAL(10,2) NOT NULL,
+    unit_price DECIMAL(10,2) NULL,
     status ENUM('pending', 'confirmed', 'cancelled', 'expired') DEFAULT 'pending',
     booking_reference VARCHAR(50) UNIQUE,
     payment_status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
+    access_code_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL 15 MINUTE),
     FOREIGN KEY (user_id) REFERENCES users(id),
     FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (access_code_id) REFERENCES access_codes(id),
     INDEX idx_user_id (user_id),
     INDEX idx_event_id (event_id),
     INDEX idx_status (status),
@@ -57,6 +240,131 @@ CREATE TABLE bookings (
     INDEX idx_expires_at (expires_at)
 );
 
+-- Ticket tier line items of a booking
+CREATE TABLE booking_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    ticket_type_id INT NOT NULL,
+    quantity INT NOT NULL,
+    unit_price DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id),
+    INDEX idx_booking_id (booking_id)
+);
+
+-- Seats for events with reserved seating
+CREATE TABLE seats (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    section VARCHAR(50) NOT NULL,
+    row_label VARCHAR(10) NOT NULL,
+    seat_number INT NOT NULL,
+    status ENUM('available', 'held', 'sold', 'blocked') DEFAULT 'available',
+    booking_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    UNIQUE KEY uniq_event_seat (event_id, section, row_label, seat_number),
+    INDEX idx_event_status (event_id, status),
+    INDEX idx_booking_id (booking_id)
+);
+
+-- Booking state transitions
+CREATE TABLE booking_history (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    from_status ENUM('pending', 'confirmed', 'cancelled', 'expired'),
+    to_status ENUM('pending', 'confirmed', 'cancelled', 'expired') NOT NULL,
+    from_payment_status ENUM('pending', 'completed', 'failed', 'refunded'),
+    to_payment_status ENUM('pending', 'completed', 'failed', 'refunded') NOT NULL,
+    actor VARCHAR(100),
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    INDEX idx_booking_id (booking_id)
+);
+
+-- Ticket count changes to confirmed bookings. Extra tickets are held on the
+-- adjustment until the top-up is paid; removed tickets go back at once and the
+-- difference is refunded.
+CREATE TABLE booking_adjustments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    from_ticket_count INT NOT NULL,
+    to_ticket_count INT NOT NULL,
+    kind ENUM('top_up', 'refund') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    status ENUM('pending', 'completed', 'failed', 'expired') DEFAULT 'pending',
+    payment_gateway_id VARCHAR(255),
+    expires_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    INDEX idx_booking_status (booking_id, status),
+    INDEX idx_status_expires_at (status, expires_at)
+);
+
+-- Offers to hand a confirmed booking to another registered user
+CREATE TABLE booking_transfers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    from_user_id INT NOT NULL,
+    to_user_id INT NOT NULL,
+    status ENUM('pending', 'accepted', 'declined', 'cancelled') DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    FOREIGN KEY (from_user_id) REFERENCES users(id),
+    FOREIGN KEY (to_user_id) REFERENCES users(id),
+    INDEX idx_booking_status (booking_id, status),
+    INDEX idx_to_user_status (to_user_id, status),
+    INDEX idx_from_user_status (from_user_id, status)
+);
+
+-- Admission tickets, issued once a booking is paid: one per seat, per tier unit
+-- or per general admission place. The signed QR token carries ticket_code.
+CREATE TABLE tickets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    event_id INT NOT NULL,
+    seat_id INT NULL,
+    ticket_type_id INT NULL,
+    ticket_code VARCHAR(64) NOT NULL UNIQUE,
+    status ENUM('valid', 'used', 'void') DEFAULT 'valid',
+    checked_in_at TIMESTAMP NULL,
+    gate VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (seat_id) REFERENCES seats(id),
+    FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id),
+    INDEX idx_booking_status (booking_id, status),
+    INDEX idx_event_status (event_id, status)
+);
+
+-- Waitlist for sold-out events
+CREATE TABLE waitlist_entries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    user_id INT NOT NULL,
+    ticket_count INT NOT NULL,
+    status ENUM('waiting', 'offered', 'converted', 'expired', 'left', 'cancelled') DEFAULT 'waiting',
+    offer_expires_at TIMESTAMP NULL,
+    booking_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (booking_id) REFERENCES bookings(id),
+    INDEX idx_event_status (event_id, status, created_at),
+    INDEX idx_user_id (user_id),
+    INDEX idx_offer_expires_at (offer_expires_at)
+);
+
 -- Payments table
 CREATE TABLE payments (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -72,8 +380,81 @@ CREATE TABLE payments (
     INDEX idx_status (status)
 );
 
+-- Progress of cancelling an event. booking-service works through the event's
+-- bookings in the background, so the counters show how far it has got.
+CREATE TABLE event_cancellations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    requested_by INT NULL,
+    reason VARCHAR(255),
+    status ENUM('pending', 'processing', 'completed') DEFAULT 'pending',
+    total_bookings INT NOT NULL DEFAULT 0,
+    cancelled_bookings INT NOT NULL DEFAULT 0,
+    refunds_requested INT NOT NULL DEFAULT 0,
+    refunds_completed INT NOT NULL DEFAULT 0,
+    refund_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (requested_by) REFERENCES users(id),
+    UNIQUE KEY uniq_event_id (event_id),
+    INDEX idx_status (status)
+);
+
+-- Tokens for personal calendar feeds. Only a SHA-256 of the token is kept; a
+-- revoked token stops working straight away.
+CREATE TABLE calendar_feed_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    UNIQUE KEY uniq_token_hash (token_hash),
+    INDEX idx_user_id (user_id)
+);
+
+-- Stored responses for requests sent with an Idempotency-Key header
+CREATE TABLE idempotency_keys (
+    scope VARCHAR(100) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status INT NULL,
+    response_body MEDIUMTEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (scope, idempotency_key),
+    INDEX idx_expires_at (expires_at)
+);
+
 -- Sample data
-INSERT INTO events (title, description, venue, event_date, total_tickets, available_tickets, price) VALUES
-('Concert Night 2025', 'Amazing music concert with top artists', 'City Arena', '2025-12-15 19:00:00', 1000, 1000, 50.00),
-('Tech Conference', 'Latest trends in technology', 'Tech Center', '2025-11-20 09:00:00', 500, 500, 75.00),
-('Sports Championship', 'Annual sports tournament', 'Sports Complex', '2025-10-30 14:00:00', 2000, 2000, 30.00);
+INSERT INTO venues (name, address, city, country, timezone, capacity) VALUES
+('City Arena', '1 Arena Way', 'London', 'United Kingdom', 'Europe/London', 1500),
+('Tech Center', '200 Innovation Drive', 'San Francisco', 'United States', 'America/Los_Angeles', 500),
+('Sports Complex', '50 Stadium Road', 'Melbourne', 'Australia', 'Australia/Melbourne', 5000);
+
+INSERT INTO venue_sections (venue_id, name, capacity, row_count, seats_per_row) VALUES
+(2, 'Orchestra', 250, 10, 25),
+(2, 'Balcony', 250, 10, 25);
+
+INSERT INTO events (title, description, venue, venue_id, event_date, total_tickets, available_tickets, price, reserved_seating) VALUES
+('Concert Night 2025', 'Amazing music concert with top artists', 'City Arena', 1, '2025-12-15 19:00:00', 1000, 1000, 50.00, FALSE),
+('Tech Conference', 'Latest trends in technology', 'Tech Center', 2, '2025-11-20 09:00:00', 500, 500, 75.00, TRUE),
+('Sports Championship', 'Annual sports tournament', 'Sports Complex', 3, '2025-10-30 14:00:00', 2000, 2000, 30.00, FALSE);
+
+-- Concert Night ticket tiers (quotas add up to total_tickets)
+INSERT INTO ticket_types (event_id, name, description, price, quota, per_order_limit) VALUES
+(1, 'VIP', 'Front standing area and lounge access', 150.00, 100, 4),
+(1, 'Standard', 'General admission', 50.00, 800, 10),
+(1, 'Student', 'Valid student ID required at entry', 30.00, 100, 2);
+
+-- Tech Conference seat map: 2 sections x 10 rows (A-J) x 25 seats
+INSERT INTO seats (event_id, section, row_label, seat_number)
+WITH RECURSIVE n AS (SELECT 1 AS i UNION ALL SELECT i + 1 FROM n WHERE i < 25)
+SELECT 2, s.section, CHAR(64 + r.i), seat.i
+FROM (SELECT 'Orchestra' AS section UNION ALL SELECT 'Balcony') s
+CROSS JOIN n r
+CROSS JOIN n seat
+WHERE r.i <= 10;
@@ -13,11 +13,15 @@ kubectl apply -f k8s-manifests/redis/
 echo "3. Deploying RabbitMQ..."
 kubectl apply -f k8s-manifests/rabbitmq/
 
+echo "   - Mail sink (MailHog)..."
+kubectl apply -f k8s-manifests/mail/
+
 # Wait for databases
 echo "Waiting for infrastructure services to be ready..."
 kubectl wait --for=condition=available --timeout=300s deployment/mysql
 kubectl wait --for=condition=available --timeout=120s deployment/redis
 kubectl wait --for=condition=available --timeout=120s deployment/rabbitmq
+kubectl wait --for=condition=available --timeout=120s deployment/mailhog
 
 # Step 2: Deploy monitoring infrastructure
 echo "4. Deploying Monitoring Stack..."
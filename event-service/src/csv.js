@@ -0,0 +1,128 @@
+// Minimal RFC 4180 CSV: comma separated, fields optionally wrapped in double
+// quotes, "" for a quote inside a quoted field, and CRLF or LF line endings.
+// Quoted fields may span lines.
+
+// Returns { rows }, each an array of field strings, or { error } for malformed input
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // A leading byte order mark is common in spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      if (field !== '') {
+        return { error: `Unexpected quote on line ${rows.length + 1}` };
+      }
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'Unterminated quoted field' };
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return { rows: rows.filter(r => r.length > 1 || r[0] !== '') };
+}
+
+// Parses CSV with a header line into objects keyed by column name.
+// Returns { records } or { error }.
+function parseCsv(text) {
+  const { rows, error } = parseCsvRows(text);
+
+  if (error) {
+    return { error };
+  }
+
+  if (rows.length === 0) {
+    return { error: 'CSV is empty' };
+  }
+
+  const header = rows[0].map(name => name.trim());
+
+  for (let index = 1; index < rows.length; index++) {
+    if (rows[index].length !== header.length) {
+      return { error: `Row ${index} has ${rows[index].length} fields but the header has ${header.length}` };
+    }
+  }
+
+  const records = rows.slice(1).map(row =>
+    Object.fromEntries(header.map((name, column) => [name, unescapeField(row[column])])));
+
+  return { header, records };
+}
+
+// Spreadsheets run text starting with one of these as a formula, so exported
+// text that does gets a leading ' to keep it as text
+const FORMULA_START = /^[=+\-@]/;
+
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undoes the ' formatField puts before formula-like text
+function unescapeField(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// CSV text for objects, with the given columns in order
+function toCsv(columns, records) {
+  const lines = [columns.map(formatField).join(',')];
+
+  for (const record of records) {
+    lines.push(columns.map(column => formatField(record[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,149 @@
+// iCalendar (RFC 5545) output. Event dates are stored as wall-clock times at the
+// venue, so they are converted to UTC with the venue's time zone; calendar apps
+// then show them in whatever zone the reader is in.
+
+const PRODUCT_ID = '-//Ticket Booking System//Events//EN';
+const UID_DOMAIN = 'ticket-booking-system';
+
+// Events have no end time yet, so each one is given this long
+const EVENT_DURATION_MINUTES = parseInt(process.env.ICS_EVENT_DURATION_MINUTES || '120', 10);
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuing with a leading space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function timeZoneOffset(instant, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  for (const part of formatter.formatToParts(instant)) {
+    parts[part.type] = Number(part.value);
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant at which the zone's clocks read the wall-clock time of `date`
+// (mysql2 hands DATETIME columns back in the process's local time)
+function wallClockToUtc(date, timeZone = 'UTC') {
+  const guess = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds());
+
+  try {
+    const offset = timeZoneOffset(new Date(guess), timeZone);
+    const corrected = timeZoneOffset(new Date(guess - offset), timeZone);
+    return new Date(guess - corrected);
+  } catch (error) {
+    return new Date(guess);
+  }
+}
+
+// Lines for one VEVENT. `start` is the stored event_date; status is
+// CONFIRMED or CANCELLED.
+function buildEvent({ uid, title, description, location, start, timeZone, status = 'CONFIRMED', updatedAt }) {
+  const startsAt = wallClockToUtc(new Date(start), timeZone);
+  const endsAt = new Date(startsAt.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+  const modified = updatedAt ? new Date(updatedAt) : new Date();
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(modified)}`,
+    `LAST-MODIFIED:${formatUtc(modified)}`,
+    `DTSTART:${formatUtc(startsAt)}`,
+    `DTEND:${formatUtc(endsAt)}`,
+    `SUMMARY:${escapeText(title)}`,
+    `STATUS:${status}`
+  ];
+
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// A whole VCALENDAR from buildEvent() results. Subscribed feeds also ask
+// clients to refresh hourly.
+function buildCalendar(events, { name, timeZone, refreshHours = null } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  if (timeZone) {
+    lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  }
+
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`, `X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  for (const event of events) {
+    lines.push(...event);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "Venue, address, city, country", skipping the parts that are missing
+function formatLocation(venue) {
+  return [venue.venue, venue.address, venue.city, venue.country].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  buildEvent,
+  buildCalendar,
+  formatLocation,
+  wallClockToUtc
+};
@@ -0,0 +1,166 @@
+// Recurrence rules for event series, written as a subset of the iCalendar RRULE
+// syntax, e.g. "FREQ=WEEKLY;BYDAY=FR;COUNT=10". Supported parts are FREQ
+// (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly rules only), and one of
+// COUNT or UNTIL so every series has an end.
+//
+// Event dates are stored as wall-clock times, so occurrences are stepped in
+// calendar days and months and keep the time of day of the first one.
+
+const MAX_OCCURRENCES = 100;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// UNTIL is a date (20251231) or a UTC date-time (20251231T235959Z)
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Returns { rule } or { error }
+function parseRecurrenceRule(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { error: 'recurrence is required, e.g. FREQ=WEEKLY;BYDAY=FR;COUNT=10' };
+  }
+
+  const parts = {};
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+
+    if (!key || value === undefined || value === '') {
+      return { error: `Cannot read "${part}" in recurrence` };
+    }
+
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY'].includes(key));
+
+  if (unsupported.length > 0) {
+    return { error: `Unsupported recurrence part: ${unsupported.join(', ')}` };
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, count: null, until: null, byDay: null };
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+      return { error: 'INTERVAL must be a whole number of 1 or more' };
+    }
+  }
+
+  if ((parts.COUNT === undefined) === (parts.UNTIL === undefined)) {
+    return { error: 'recurrence needs exactly one of COUNT or UNTIL' };
+  }
+
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+      return { error: `COUNT must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+  } else {
+    rule.until = parseUntil(parts.UNTIL);
+    if (!rule.until) {
+      return { error: 'UNTIL must be a date such as 20251231 or 20251231T235959Z' };
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    if (rule.freq !== 'WEEKLY') {
+      return { error: 'BYDAY is only supported for weekly recurrence' };
+    }
+
+    const days = parts.BYDAY.split(',');
+
+    if (days.some(day => !WEEKDAYS.includes(day))) {
+      return { error: `BYDAY takes a list of ${WEEKDAYS.join(', ')}` };
+    }
+
+    rule.byDay = days.map(day => WEEKDAYS.indexOf(day));
+  }
+
+  return { rule };
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+}
+
+// The date `months` months on, or null when that month is too short for the
+// start's day of the month (RFC 5545 skips those rather than clamping)
+function addMonths(date, months) {
+  const next = new Date(date);
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (date.getUTCDate() > daysInMonth) {
+    return null;
+  }
+
+  next.setUTCDate(date.getUTCDate());
+  return next;
+}
+
+// Dates of every occurrence, starting with `start` itself when it matches the
+// rule. Returns { dates } or { error } when the rule runs past MAX_OCCURRENCES.
+function expandOccurrences(start, rule) {
+  const dates = [];
+  const within = date => (rule.count === null || dates.length < rule.count) &&
+                         (rule.until === null || date <= rule.until);
+
+  // Weeks, months or days are stepped in whole periods; the guard stops rules
+  // whose candidates never land (e.g. the 31st of every other February)
+  for (let period = 0; period < MAX_OCCURRENCES * 12; period++) {
+    let candidates;
+
+    if (rule.freq === 'DAILY') {
+      candidates = [addDays(start, period * rule.interval)];
+    } else if (rule.freq === 'MONTHLY') {
+      const date = addMonths(start, period * rule.interval);
+      candidates = date ? [date] : [];
+    } else {
+      const weekStart = addDays(start, period * rule.interval * 7 - start.getUTCDay());
+      const days = rule.byDay || [start.getUTCDay()];
+      candidates = [...new Set(days)].sort((a, b) => a - b)
+        .map(day => addDays(weekStart, day))
+        .filter(date => date >= start);
+    }
+
+    for (const date of candidates) {
+      if (!within(date)) {
+        return { dates };
+      }
+
+      if (dates.length === MAX_OCCURRENCES) {
+        return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences` };
+      }
+
+      dates.push(date);
+    }
+  }
+
+  return { dates };
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  expandOccurrences
+};
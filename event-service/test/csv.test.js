@@ -0,0 +1,57 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('../src/csv');
+
+describe('toCsv', () => {
+  test('writes a header and CRLF-terminated rows', () => {
+    assert.equal(
+      toCsv(['title', 'price'], [{ title: 'Gig', price: 10 }, { title: 'Talk', price: null }]),
+      'title,price\r\nGig,10\r\nTalk,\r\n'
+    );
+  });
+
+  test('quotes fields with commas, quotes or line breaks', () => {
+    assert.equal(toCsv(['a'], [{ a: 'x,y' }, { a: 'say "hi"' }, { a: 'two\nlines' }]),
+      'a\r\n"x,y"\r\n"say ""hi"""\r\n"two\nlines"\r\n');
+  });
+
+  test('keeps text that looks like a formula from running', () => {
+    assert.equal(toCsv(['a'], [{ a: '=HYPERLINK("x")' }, { a: '+1' }, { a: '-1' }, { a: '@SUM(A1)' }]),
+      'a\r\n"\'=HYPERLINK(""x"")"\r\n\'+1\r\n\'-1\r\n\'@SUM(A1)\r\n');
+  });
+
+  test('leaves negative numbers alone', () => {
+    assert.equal(toCsv(['a'], [{ a: -5 }]), 'a\r\n-5\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads records keyed by the trimmed header', () => {
+    assert.deepEqual(parseCsv(' title ,price\nGig,10\n'), {
+      header: ['title', 'price'],
+      records: [{ title: 'Gig', price: '10' }]
+    });
+  });
+
+  test('handles CRLF, a byte order mark and blank lines', () => {
+    assert.deepEqual(parseCsv('\ufeffa,b\r\n1,2\r\n\r\n3,4').records, [{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+  });
+
+  test('reports malformed input', () => {
+    assert.deepEqual(parseCsv(''), { error: 'CSV is empty' });
+    assert.deepEqual(parseCsv('a\n"open'), { error: 'Unterminated quoted field' });
+    assert.deepEqual(parseCsv('a\nx"y"'), { error: 'Unexpected quote on line 2' });
+    assert.deepEqual(parseCsv('a,b\n1'), { error: 'Row 1 has 1 fields but the header has 2' });
+  });
+
+  test('reads back what toCsv writes', () => {
+    const columns = ['title', 'description', 'price'];
+    const records = [
+      { title: 'Gig, live', description: 'The "big" one\nwith two lines', price: '10.00' },
+      { title: '=cmd|calc', description: '-', price: '' },
+      { title: '@home', description: "'quoted' already", price: '0' }
+    ];
+
+    assert.deepEqual(parseCsv(toCsv(columns, records)), { header: columns, records });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_OCCURRENCES, parseRecurrenceRule, expandOccurrences } = require('../src/recurrence');
+
+function expand(start, text) {
+  const { rule, error } = parseRecurrenceRule(text);
+  assert.equal(error, undefined);
+  return expandOccurrences(new Date(start), rule);
+}
+
+function isoDates({ dates }) {
+  return dates.map(date => date.toISOString());
+}
+
+describe('parseRecurrenceRule', () => {
+  test('reads the supported parts', () => {
+    assert.deepEqual(parseRecurrenceRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=6'), {
+      rule: { freq: 'WEEKLY', interval: 2, count: 6, until: null, byDay: [1, 5] }
+    });
+  });
+
+  test('reads UNTIL as a date or a UTC date-time', () => {
+    assert.equal(parseRecurrenceRule('FREQ=DAILY;UNTIL=20251231').rule.until.toISOString(), '2025-12-31T23:59:59.000Z');
+    assert.equal(parseRecurrenceRule('FREQ=DAILY;UNTIL=20251231T100000Z').rule.until.toISOString(), '2025-12-31T10:00:00.000Z');
+  });
+
+  test('needs exactly one of COUNT or UNTIL', () => {
+    assert.match(parseRecurrenceRule('FREQ=DAILY').error, /exactly one of COUNT or UNTIL/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;COUNT=2;UNTIL=20251231').error, /exactly one of COUNT or UNTIL/);
+  });
+
+  test('rejects what it does not support', () => {
+    assert.match(parseRecurrenceRule('FREQ=YEARLY;COUNT=2').error, /FREQ must be one of/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;COUNT=2;BYMONTH=1').error, /Unsupported recurrence part: BYMONTH/);
+    assert.match(parseRecurrenceRule('FREQ=MONTHLY;BYDAY=MO;COUNT=2').error, /only supported for weekly/);
+    assert.match(parseRecurrenceRule('FREQ=WEEKLY;BYDAY=XX;COUNT=2').error, /BYDAY takes a list/);
+    assert.match(parseRecurrenceRule(`FREQ=DAILY;COUNT=${MAX_OCCURRENCES + 1}`).error, /COUNT must be between/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;UNTIL=2025-12-31').error, /UNTIL must be a date/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;INTERVAL=0;COUNT=2').error, /INTERVAL must be/);
+    assert.match(parseRecurrenceRule('').error, /recurrence is required/);
+  });
+});
+
+describe('expandOccurrences', () => {
+  test('stops after COUNT occurrences', () => {
+    assert.deepEqual(isoDates(expand('2025-01-01T19:00:00Z', 'FREQ=DAILY;INTERVAL=3;COUNT=3')), [
+      '2025-01-01T19:00:00.000Z',
+      '2025-01-04T19:00:00.000Z',
+      '2025-01-07T19:00:00.000Z'
+    ]);
+  });
+
+  test('includes the UNTIL day itself', () => {
+    assert.deepEqual(isoDates(expand('2025-01-01T19:00:00Z', 'FREQ=DAILY;UNTIL=20250103')), [
+      '2025-01-01T19:00:00.000Z',
+      '2025-01-02T19:00:00.000Z',
+      '2025-01-03T19:00:00.000Z'
+    ]);
+  });
+
+  test('stops before an UNTIL time earlier in the day', () => {
+    assert.equal(expand('2025-01-01T19:00:00Z', 'FREQ=DAILY;UNTIL=20250103T180000Z').dates.length, 2);
+  });
+
+  test('walks the chosen weekdays from the start onwards', () => {
+    // 2025-01-01 is a Wednesday
+    assert.deepEqual(isoDates(expand('2025-01-01T20:00:00Z', 'FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=4')), [
+      '2025-01-01T20:00:00.000Z',
+      '2025-01-03T20:00:00.000Z',
+      '2025-01-06T20:00:00.000Z',
+      '2025-01-08T20:00:00.000Z'
+    ]);
+  });
+
+  test('repeats on the start weekday without BYDAY', () => {
+    assert.deepEqual(isoDates(expand('2025-01-01T20:00:00Z', 'FREQ=WEEKLY;INTERVAL=2;COUNT=2')), [
+      '2025-01-01T20:00:00.000Z',
+      '2025-01-15T20:00:00.000Z'
+    ]);
+  });
+
+  test('skips months too short for the start day', () => {
+    assert.deepEqual(isoDates(expand('2025-01-31T19:00:00Z', 'FREQ=MONTHLY;COUNT=4')), [
+      '2025-01-31T19:00:00.000Z',
+      '2025-03-31T19:00:00.000Z',
+      '2025-05-31T19:00:00.000Z',
+      '2025-07-31T19:00:00.000Z'
+    ]);
+  });
+
+  test('lands on 29 February only in leap years', () => {
+    assert.deepEqual(isoDates(expand('2024-02-29T19:00:00Z', 'FREQ=MONTHLY;INTERVAL=12;UNTIL=20290101')), [
+      '2024-02-29T19:00:00.000Z',
+      '2028-02-29T19:00:00.000Z'
+    ]);
+  });
+
+  test('does not spill into the next month at the end of a short month', () => {
+    const { dates } = expand('2025-01-30T19:00:00Z', 'FREQ=MONTHLY;UNTIL=20250430');
+    assert.deepEqual(dates.map(date => date.toISOString().slice(0, 10)), ['2025-01-30', '2025-03-30', '2025-04-30']);
+  });
+
+  test('refuses rules that run past the occurrence limit', () => {
+    assert.match(expand('2025-01-01T19:00:00Z', 'FREQ=DAILY;UNTIL=20301231').error, /at most 100 occurrences/);
+  });
+});
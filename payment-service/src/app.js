@@ -5,6 +5,8 @@ const axios = require('axios');
 const helmet = require('helmet');
 const cors = require('cors');
 require('dotenv').config();
+const { idempotent } = require('./idempotency');
+const { verifyToken, canActFor, serviceHeaders } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3004;
@@ -34,9 +36,11 @@ async function initRabbitMQ() {
     
     await rabbitChannel.assertQueue('payment_processing', { durable: true });
     await rabbitChannel.assertQueue('payment_results', { durable: true });
+    await rabbitChannel.assertQueue('refund_requests', { durable: true });
     
     // Start consuming payment processing messages
     await rabbitChannel.consume('payment_processing', processPayment, { noAck: false });
+    await rabbitChannel.consume('refund_requests', processRefund, { noAck: false });
     
     console.log('Payment service ready to process payments');
   } catch (error) {
@@ -70,12 +74,72 @@ async function processPaymentGateway(bookingId, amount, paymentMethod = 'credit_
   }
 }
 
+// Mock refund to the original payment method
+async function processRefundGateway(bookingId, amount) {
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  
+  return {
+    success: true,
+    refundId: `REF_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`,
+    amount,
+    currency: 'USD',
+    status: 'refunded'
+  };
+}
+
+// Booking service endpoints that record the outcome of a charge or refund. A
+// message with an adjustmentId is for a change to an existing booking. They
+// only accept calls carrying the service token (see serviceHeaders).
+function bookingCallbackUrl(bookingId, adjustmentId, outcome) {
+  if (adjustmentId) {
+    return `http://booking-service/api/bookings/${bookingId}/adjustments/${adjustmentId}/${outcome === 'success' ? 'complete' : 'fail'}`;
+  }
+  return `http://booking-service/api/bookings/${bookingId}/${outcome === 'success' ? 'confirm-payment' : 'fail-payment'}`;
+}
+
+// Where to record a refund that has been paid out: a partial refund settles its
+// adjustment, a full refund moves the booking to refunded
+function refundCallbackUrl(bookingId, adjustmentId) {
+  if (adjustmentId) {
+    return bookingCallbackUrl(bookingId, adjustmentId, 'success');
+  }
+  return `http://booking-service/api/bookings/${bookingId}/refund`;
+}
+
+// Shared failure handling for queue consumers. A retry resends the message as
+// it came unless `retryMessage` gives what to send instead.
+function retryOrDrop(queue, msg, bookingId, error, retryMessage = null) {
+  // Booking service refused the update (e.g. hold expired) - retrying won't help
+  if (error.response && error.response.status === 409) {
+    console.error(`Booking ${bookingId} rejected ${queue} update: ${error.response.data.error}`);
+    rabbitChannel.ack(msg);
+    return;
+  }
+  
+  // Requeue message for retry (up to 3 times)
+  const retryCount = (msg.properties.headers && msg.properties.headers.retryCount) || 0;
+  
+  if (retryCount < 3) {
+    setTimeout(() => {
+      const content = retryMessage ? Buffer.from(JSON.stringify(retryMessage)) : msg.content;
+      rabbitChannel.sendToQueue(queue, content, {
+        persistent: true,
+        headers: { retryCount: retryCount + 1 }
+      });
+      rabbitChannel.ack(msg);
+    }, 5000 * (retryCount + 1)); // Exponential backoff
+  } else {
+    console.error(`Max retries exceeded for booking ${bookingId}, moving to DLQ`);
+    rabbitChannel.ack(msg);
+  }
+}
+
 // Process payment message from queue
 async function processPayment(msg) {
   if (!msg) return;
   
   const paymentData = JSON.parse(msg.content.toString());
-  const { bookingId, userId, amount, bookingReference } = paymentData;
+  const { bookingId, userId, amount, bookingReference, adjustmentId } = paymentData;
   
   console.log(`Processing payment for booking ${bookingId}, amount: ${amount}`);
   
@@ -87,16 +151,38 @@ async function processPayment(msg) {
       // Payment successful - notify booking service
       console.log(`Payment successful for booking ${bookingId}`);
       
-      await axios.post(`http://booking-service/api/bookings/${bookingId}/confirm-payment`, {
-        paymentId: paymentResult.paymentId,
-        paymentMethod: 'credit_card'
-      });
+      try {
+        await axios.post(bookingCallbackUrl(bookingId, adjustmentId, 'success'), {
+          paymentId: paymentResult.paymentId,
+          paymentMethod: 'credit_card'
+        }, { headers: serviceHeaders() });
+      } catch (error) {
+        if (!error.response || error.response.status !== 409) throw error;
+        
+        // The booking no longer takes this payment (its hold expired or the event
+        // was cancelled while the charge was in flight), so give the money back
+        console.error(`Booking ${bookingId} rejected payment ${paymentResult.paymentId}: ${error.response.data.error}, refunding`);
+        await rabbitChannel.sendToQueue('refund_requests',
+          Buffer.from(JSON.stringify({
+            bookingId,
+            adjustmentId,
+            userId,
+            amount,
+            bookingReference,
+            rejectedPaymentId: paymentResult.paymentId
+          })),
+          { persistent: true }
+        );
+        rabbitChannel.ack(msg);
+        return;
+      }
       
       // Send success notification
       if (rabbitChannel) {
         await rabbitChannel.sendToQueue('payment_results',
           Buffer.from(JSON.stringify({
             bookingId,
+            adjustmentId,
             userId,
             status: 'success',
             paymentId: paymentResult.paymentId,
@@ -112,16 +198,16 @@ async function processPayment(msg) {
       console.log(`Payment failed for booking ${bookingId}: ${paymentResult.error}`);
       
       // Update booking to cancelled and return tickets
-      await axios.post(`http://booking-service/api/bookings/${bookingId}/cancel`, {
-        userId,
-        reason: 'Payment failed'
-      });
+      await axios.post(bookingCallbackUrl(bookingId, adjustmentId, 'failure'), {
+        reason: paymentResult.error
+      }, { headers: serviceHeaders() });
       
       // Send failure notification
       if (rabbitChannel) {
         await rabbitChannel.sendToQueue('payment_results',
           Buffer.from(JSON.stringify({
             bookingId,
+            adjustmentId,
             userId,
             status: 'failed',
             error: paymentResult.error,
@@ -137,22 +223,62 @@ async function processPayment(msg) {
     
   } catch (error) {
     console.error(`Payment processing error for booking ${bookingId}:`, error);
+    retryOrDrop('payment_processing', msg, bookingId, error);
+  }
+}
+
+// Process refund message from queue
+async function processRefund(msg) {
+  if (!msg) return;
+  
+  const refund = JSON.parse(msg.content.toString());
+  const { bookingId, userId, amount, bookingReference, adjustmentId, cancellationId, rejectedPaymentId } = refund;
+  
+  console.log(`Processing refund for booking ${bookingId}, amount: ${amount}`);
+  
+  // A retry of a refund that was already paid out carries its refundId, so
+  // only the recording steps below run again
+  let { refundId } = refund;
+  
+  try {
+    if (!refundId) {
+      refundId = (await processRefundGateway(bookingId, amount)).refundId;
+    }
     
-    // Requeue message for retry (up to 3 times)
-    const retryCount = (msg.properties.headers && msg.properties.headers.retryCount) || 0;
-    
-    if (retryCount < 3) {
-      setTimeout(() => {
-        rabbitChannel.sendToQueue('payment_processing', msg.content, {
-          persistent: true,
-          headers: { retryCount: retryCount + 1 }
-        });
-        rabbitChannel.ack(msg);
-      }, 5000 * (retryCount + 1)); // Exponential backoff
+    if (rejectedPaymentId) {
+      // The booking never recorded the charge, so record its refund here
+      await pool.execute(
+        'INSERT INTO payments (booking_id, amount, payment_method, payment_gateway_id, status, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+        [bookingId, amount, 'credit_card', refundId, 'refunded']
+      );
     } else {
-      console.error(`Max retries exceeded for booking ${bookingId}, moving to DLQ`);
-      rabbitChannel.ack(msg);
+      await axios.post(refundCallbackUrl(bookingId, adjustmentId), {
+        paymentId: refundId,
+        paymentMethod: 'credit_card',
+        cancellationId
+      }, { headers: serviceHeaders() });
+    }
+    
+    if (rabbitChannel) {
+      await rabbitChannel.sendToQueue('payment_results',
+        Buffer.from(JSON.stringify({
+          bookingId,
+          adjustmentId,
+          userId,
+          status: 'refunded',
+          refundId,
+          amount,
+          bookingReference
+        })),
+        { persistent: true }
+      );
     }
+    
+    rabbitChannel.ack(msg);
+    
+  } catch (error) {
+    console.error(`Refund processing error for booking ${bookingId}${refundId ? ` (refund ${refundId} paid out)` : ''}:`, error);
+    retryOrDrop('refund_requests', msg, bookingId, error, { ...refund, refundId });
   }
 }
 
@@ -173,8 +299,24 @@ app.get('/ready', async (req, res) => {
   }
 });
 
+// Whether the signed-in user may handle a booking's payments: the booking's
+// holder or one of the given roles. Returns {} or { status, error }.
+async function checkBookingAccess(user, bookingId, ...roles) {
+  const [bookings] = await pool.execute('SELECT user_id FROM bookings WHERE id = ?', [bookingId]);
+  
+  if (bookings.length === 0) {
+    return { status: 404, error: 'Booking not found' };
+  }
+  
+  if (!canActFor(user, bookings[0].user_id, ...roles)) {
+    return { status: 403, error: 'You can only handle payments for your own bookings' };
+  }
+  
+  return {};
+}
+
 // Manual payment endpoint (for testing)
-app.post('/api/payments/process', async (req, res) => {
+app.post('/api/payments/process', verifyToken, idempotent(pool, 'payment-service:process-payment'), async (req, res) => {
   try {
     const { bookingId, amount, paymentMethod = 'credit_card' } = req.body;
     
@@ -182,6 +324,12 @@ app.post('/api/payments/process', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    const { status, error } = await checkBookingAccess(req.user, bookingId);
+    
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
     const paymentResult = await processPaymentGateway(bookingId, amount, paymentMethod);
     
     if (paymentResult.success) {
@@ -209,11 +357,17 @@ app.post('/api/payments/process', async (req, res) => {
   }
 });
 
-// Get payment details
-app.get('/api/payments/booking/:bookingId', async (req, res) => {
+// Get payment details (the booking's holder, box office and admins)
+app.get('/api/payments/booking/:bookingId', verifyToken, async (req, res) => {
   try {
     const { bookingId } = req.params;
     
+    const { status, error } = await checkBookingAccess(req.user, bookingId, 'box_office');
+    
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
     const [payments] = await pool.execute(
       'SELECT * FROM payments WHERE booking_id = ? ORDER BY created_at DESC',
       [bookingId]
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Route authentication and role checks. Access tokens are issued by user-service
+// and carry the user's role; calls from one service to another carry a shared
+// service token instead. Keep in step with the auth.js of event-service,
+// booking-service and payment-service.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const SERVICE_TOKEN = process.env.SERVICE_TOKEN || 'change-this-service-token';
+
+const ROLES = ['customer', 'organizer', 'box_office', 'admin'];
+
+function verifyToken(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    // Tokens from before roles existed belong to customers
+    req.user = { ...decoded, role: decoded.role || 'customer' };
+    next();
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid token.' });
+  }
+}
+
+function hasRole(user, ...roles) {
+  return Boolean(user) && (user.role === 'admin' || roles.includes(user.role));
+}
+
+// Route guard: signs the request in and lets it through only for the given
+// roles. Admins pass every role check.
+function requireRole(...roles) {
+  return (req, res, next) => verifyToken(req, res, () => {
+    if (!hasRole(req.user, ...roles)) {
+      return res.status(403).json({ error: `Only ${roles.join(' or ')} accounts can do this` });
+    }
+    next();
+  });
+}
+
+// Whether the signed-in user may act on records belonging to userId: their
+// own, or anyone's for the given roles (and admins)
+function canActFor(user, userId, ...roles) {
+  return Number(userId) === user.userId || hasRole(user, ...roles);
+}
+
+// Route guard for endpoints only other services may call
+function requireService(req, res, next) {
+  const presented = Buffer.from(req.get('X-Service-Token') || '');
+  const expected = Buffer.from(SERVICE_TOKEN);
+
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    return res.status(401).json({ error: 'Service authentication required' });
+  }
+  next();
+}
+
+// Headers for calling another service's requireService endpoints
+function serviceHeaders() {
+  return { 'X-Service-Token': SERVICE_TOKEN };
+}
+
+module.exports = {
+  ROLES,
+  verifyToken,
+  hasRole,
+  requireRole,
+  canActFor,
+  requireService,
+  serviceHeaders
+};
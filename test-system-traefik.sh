@@ -43,9 +43,22 @@ REGISTER_RESPONSE=$(curl -s -X POST $BASE_URL/api/register \
 
 echo "Register response: $REGISTER_RESPONSE"
 
+# New accounts log in once their email is verified; the test skips the emailed
+# link and marks the address verified directly
+kubectl run mysql-verify --image=mysql:8.0 -i --rm --restart=Never -- \
+  mysql -hmysql-service -uticketuser -pticketpassword ticket_booking \
+  -e "UPDATE users SET email_verified_at = NOW() WHERE email = 'systemtest$TIMESTAMP@example.com' AND email_verified_at IS NULL;"
+
+LOGIN_RESPONSE=$(curl -s -X POST $BASE_URL/api/login \
+  -H "Content-Type: application/json" \
+  -d "{
+    \"email\": \"systemtest$TIMESTAMP@example.com\",
+    \"password\": \"testpass123\"
+  }")
+
 # Extract token
-TOKEN=$(echo $REGISTER_RESPONSE | grep -o '"token":"[^"]*' | cut -d'"' -f4)
-USER_ID=$(echo $REGISTER_RESPONSE | grep -o '"userId":[0-9]*' | cut -d':' -f2)
+TOKEN=$(echo $LOGIN_RESPONSE | grep -o '"token":"[^"]*' | cut -d'"' -f4)
+USER_ID=$(echo $LOGIN_RESPONSE | grep -o '"id":[0-9]*' | head -1 | cut -d':' -f2)
 
 if [ ! -z "$TOKEN" ]; then
   echo "✓ User registration successful"
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+// Single-use tokens mailed to a user to prove they own their email address:
+// one to verify it after registering and one to reset a forgotten password.
+// Only their SHA-256 hash is stored.
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+const TTL_MINUTES = {
+  verify_email: EMAIL_VERIFICATION_TTL_HOURS * 60,
+  reset_password: PASSWORD_RESET_TTL_MINUTES
+};
+
+// Issues a token for a purpose, retiring any the user still holds for it
+async function issueAccountToken(pool, userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [userId, purpose]
+    );
+
+    await connection.execute(
+      'INSERT INTO account_tokens (user_id, purpose, token_hash, created_at, expires_at) VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+      [userId, purpose, hashToken(token), TTL_MINUTES[purpose]]
+    );
+
+    await connection.commit();
+    return token;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Marks a token used inside the caller's transaction. Returns { userId } or
+// { error } when the token is unknown, already used or expired.
+async function consumeAccountToken(connection, token, purpose) {
+  const [tokens] = await connection.execute(
+    'SELECT id, user_id, used_at, expires_at FROM account_tokens WHERE token_hash = ? AND purpose = ? FOR UPDATE',
+    [hashToken(String(token)), purpose]
+  );
+
+  if (tokens.length === 0 || tokens[0].used_at) {
+    return { error: 'This link is invalid or has already been used' };
+  }
+
+  if (new Date(tokens[0].expires_at) <= new Date()) {
+    return { error: 'This link has expired' };
+  }
+
+  await connection.execute('UPDATE account_tokens SET used_at = NOW() WHERE id = ?', [tokens[0].id]);
+
+  return { userId: tokens[0].user_id };
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  issueAccountToken,
+  consumeAccountToken
+};
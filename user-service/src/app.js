@@ -1,15 +1,43 @@
 const express = require('express');
 const mysql = require('mysql2/promise');
+const redis = require('redis');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
 require('dotenv').config();
+const {
+  JWT_SECRET,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+  countActiveSessions
+} = require('./sessions');
+const {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  issueAccountToken,
+  consumeAccountToken
+} = require('./accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./mailer');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount
+} = require('./loginThrottle');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Requests arrive through the ingress controller; take the client address from
+// the X-Forwarded-For it adds so rate limits and login tracking see real clients
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1', 10));
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -34,8 +62,16 @@ const pool = mysql.createPool({
   reconnect: true
 });
 
-// JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+// Redis holds failed-login counters and lockouts (see loginThrottle.js)
+const redisClient = redis.createClient({
+  socket: {
+    host: process.env.REDIS_HOST || 'redis-service',
+    port: process.env.REDIS_PORT || 6379
+  }
+});
+
+redisClient.on('error', (err) => console.log('Redis Client Error', err));
+redisClient.connect().catch(console.error);
 
 // Metrics tracking
 let metrics = {
@@ -43,27 +79,49 @@ let metrics = {
   http_errors_total: 0,
   user_registrations_total: 0,
   user_logins_total: 0,
-  active_sessions: 0,
+  login_failures_total: 0,
+  account_lockouts_total: 0,
   start_time: Date.now()
 };
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
+// Middleware to verify JWT token. Here, unlike in the other services, the
+// session behind the token is checked too, so signing out takes effect at once.
+const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
   
+  let decoded;
+  
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid token.' });
+  }
+  
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+    if (decoded.sid && !(await isSessionActive(pool, decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been signed out.' });
+    }
+    
+    req.user = { ...decoded, role: decoded.role || 'customer' };
     next();
   } catch (error) {
-    res.status(400).json({ error: 'Invalid token.' });
+    next(error);
   }
 };
 
+const ROLES = ['customer', 'organizer', 'box_office', 'admin'];
+
+const requireAdmin = (req, res, next) => verifyToken(req, res, () => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admin accounts can do this' });
+  }
+  next();
+});
+
 // Middleware to track requests
 app.use((req, res, next) => {
   metrics.http_requests_total++;
@@ -80,9 +138,6 @@ app.use((req, res, next) => {
     if (res.statusCode >= 400) {
       metrics.http_errors_total++;
     }
-    if (req.path === '/api/login' && res.statusCode === 200) {
-      metrics.active_sessions++;
-    }
     return originalSend.call(this, data);
   };
   
@@ -106,10 +161,19 @@ app.get('/ready', async (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
+app.get('/metrics', async (req, res) => {
   const uptime = (Date.now() - metrics.start_time) / 1000;
   const memUsage = process.memoryUsage();
   
+  // Sessions that are signed in and not yet expired, read from the database so
+  // every replica reports the same figure
+  let activeSessions = 0;
+  try {
+    activeSessions = await countActiveSessions(pool);
+  } catch (error) {
+    console.error('Active sessions metric error:', error);
+  }
+  
   const metricsText = `# HELP http_requests_total Total HTTP requests
 # TYPE http_requests_total counter
 http_requests_total{service="user-service"} ${metrics.http_requests_total}
@@ -126,9 +190,17 @@ user_registrations_total{service="user-service"} ${metrics.user_registrations_to
 # TYPE user_logins_total counter
 user_logins_total{service="user-service"} ${metrics.user_logins_total}
 
+# HELP login_failures_total Failed login attempts
+# TYPE login_failures_total counter
+login_failures_total{service="user-service"} ${metrics.login_failures_total}
+
+# HELP account_lockouts_total Accounts locked after repeated failed logins
+# TYPE account_lockouts_total counter
+account_lockouts_total{service="user-service"} ${metrics.account_lockouts_total}
+
 # HELP active_sessions Current active sessions
 # TYPE active_sessions gauge
-active_sessions{service="user-service"} ${metrics.active_sessions}
+active_sessions{service="user-service"} ${activeSessions}
 
 # HELP service_uptime_seconds Service uptime
 # TYPE service_uptime_seconds gauge
@@ -145,7 +217,27 @@ nodejs_memory_usage_bytes{service="user-service",type="heapTotal"} ${memUsage.he
   res.send(metricsText);
 });
 
-// User registration
+// Mails a fresh verification link. Failures are logged rather than returned;
+// the user can ask for another link.
+async function sendVerification(user) {
+  try {
+    const token = await issueAccountToken(pool, user.id, 'verify_email');
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+  } catch (error) {
+    console.error(`Verification email error for user ${user.id}:`, error);
+  }
+}
+
+async function sendPasswordReset(user) {
+  try {
+    const token = await issueAccountToken(pool, user.id, 'reset_password');
+    await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+  } catch (error) {
+    console.error(`Password reset email error for user ${user.id}:`, error);
+  }
+}
+
+// User registration. The account can log in once its email address is verified.
 app.post('/api/register', async (req, res) => {
   try {
     const { email, password, firstName, lastName, phone } = req.body;
@@ -161,16 +253,12 @@ app.post('/api/register', async (req, res) => {
       [email, hashedPassword, firstName, lastName, phone]
     );
     
-    const token = jwt.sign(
-      { userId: result.insertId, email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await sendVerification({ id: result.insertId, email, first_name: firstName });
     
     res.status(201).json({ 
-      message: 'User created successfully', 
+      message: 'User created. Follow the link we emailed you to verify your address, then log in.', 
       userId: result.insertId,
-      token 
+      emailVerificationRequired: true
     });
   } catch (error) {
     if (error.code === 'ER_DUP_ENTRY') {
@@ -181,6 +269,34 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
+// Adds a row to the login_attempts audit log. A failure to log is reported but
+// does not fail the login.
+async function recordLoginAttempt(req, email, userId, outcome) {
+  try {
+    await pool.execute(
+      'INSERT INTO login_attempts (email, user_id, ip_address, user_agent, outcome, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [String(email).slice(0, 255), userId, req.ip || null, (req.get('user-agent') || '').slice(0, 255) || null, outcome]
+    );
+  } catch (error) {
+    console.error('Login attempt log error:', error);
+  }
+}
+
+// A wrong email or password: counted towards delays and lockout
+async function failLogin(req, res, email, userId) {
+  metrics.login_failures_total++;
+  
+  const { locked } = await recordLoginFailure(redisClient, email, req.ip);
+  
+  if (locked) {
+    metrics.account_lockouts_total++;
+    console.warn(`Login locked for ${email} after repeated failures (last from ${req.ip})`);
+  }
+  
+  await recordLoginAttempt(req, email, userId, 'invalid_credentials');
+  res.status(401).json({ error: 'Invalid credentials' });
+}
+
 // User login
 app.post('/api/login', async (req, res) => {
   try {
@@ -190,40 +306,57 @@ app.post('/api/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password required' });
     }
     
+    const blocked = await checkLoginAllowed(redisClient, email, req.ip);
+    
+    if (blocked) {
+      await recordLoginAttempt(req, email, null, blocked.outcome);
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+    }
+    
     const [users] = await pool.execute(
-      'SELECT id, email, password, first_name, last_name, status FROM users WHERE email = ?',
+      'SELECT id, email, password, first_name, last_name, status, role, email_verified_at FROM users WHERE email = ?',
       [email]
     );
     
     if (users.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return failLogin(req, res, email, null);
     }
     
     const user = users[0];
     
     if (user.status !== 'active') {
+      await recordLoginAttempt(req, email, user.id, 'inactive');
       return res.status(401).json({ error: 'Account is inactive' });
     }
     
     const validPassword = await bcrypt.compare(password, user.password);
     
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return failLogin(req, res, email, user.id);
     }
     
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await clearLoginFailures(redisClient, email);
+    
+    if (!user.email_verified_at) {
+      await recordLoginAttempt(req, email, user.id, 'unverified');
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        emailVerificationRequired: true
+      });
+    }
+    
+    const tokens = await createSession(pool, user, req);
+    await recordLoginAttempt(req, email, user.id, 'success');
     
     res.json({ 
-      token, 
+      ...tokens, 
       user: {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        role: user.role
       }
     });
   } catch (error) {
@@ -232,11 +365,256 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Swap a refresh token for a new access token and refresh token
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+    
+    const result = await rotateRefreshToken(pool, refreshToken);
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Sign out of this session. Takes the refresh token, so it still works once the
+// access token has expired, or falls back to the session in the access token.
+app.post('/api/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let sessionId = null;
+    
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(pool, refreshToken);
+      sessionId = session ? session.id : null;
+    } else {
+      const token = req.headers.authorization?.split(' ')[1];
+      try {
+        sessionId = token ? jwt.verify(token, JWT_SECRET).sid : null;
+      } catch (error) {
+        sessionId = null;
+      }
+    }
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Send the refresh token or a valid access token for the session' });
+    }
+    
+    await revokeSession(pool, sessionId, 'logout');
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Sign out of every session, on every device
+app.post('/api/logout/all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(pool, req.user.userId, 'logout_all');
+    
+    res.json({ message: 'Logged out everywhere', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// The signed-in user's live sessions
+app.get('/api/sessions', verifyToken, async (req, res) => {
+  try {
+    const [sessions] = await pool.execute(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.userId]
+    );
+    
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+app.delete('/api/sessions/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const [sessions] = await pool.execute(
+      'SELECT id FROM user_sessions WHERE id = ? AND user_id = ?',
+      [req.params.sessionId, req.user.userId]
+    );
+    
+    if (sessions.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await revokeSession(pool, sessions[0].id, 'revoked_by_user');
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Confirm an email address with the token from a verification email
+app.post('/api/email/verify', async (req, res) => {
+  const { token } = req.body;
+  
+  if (!token) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  let connection = null;
+  
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    const { userId, error } = await consumeAccountToken(connection, token, 'verify_email');
+    
+    if (error) {
+      await connection.rollback();
+      return res.status(400).json({ error });
+    }
+    
+    await connection.execute(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = ?',
+      [userId]
+    );
+    
+    await connection.commit();
+    
+    res.json({ message: 'Email address verified. You can now log in.' });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email address' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Send another verification link. The answer is the same whether or not the
+// address has an account, so it cannot be used to find out who is registered.
+app.post('/api/email/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    
+    const [users] = await pool.execute(
+      'SELECT id, email, first_name FROM users WHERE email = ? AND status = "active" AND email_verified_at IS NULL',
+      [email]
+    );
+    
+    if (users.length > 0) {
+      await sendVerification(users[0]);
+    }
+    
+    res.status(202).json({ message: 'If that address is waiting to be verified, a new link is on its way.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Start a password reset. Like resend-verification, the answer never says
+// whether the address has an account.
+app.post('/api/password/forgot', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    
+    const [users] = await pool.execute(
+      'SELECT id, email, first_name FROM users WHERE email = ? AND status = "active"',
+      [email]
+    );
+    
+    if (users.length > 0) {
+      await sendPasswordReset(users[0]);
+    }
+    
+    res.status(202).json({ message: 'If that address has an account, a reset link is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+// Set a new password with the token from a reset email. Every session is signed
+// out, and the address counts as verified since the link reached its owner.
+app.post('/api/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+  
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  let connection = null;
+  
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    const { userId, error } = await consumeAccountToken(connection, token, 'reset_password');
+    
+    if (error) {
+      await connection.rollback();
+      return res.status(400).json({ error });
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    await connection.execute(
+      'UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = ?',
+      [hashedPassword, userId]
+    );
+    
+    await connection.commit();
+    
+    await revokeAllSessions(pool, userId, 'password_reset');
+    
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
 // Get user profile
 app.get('/api/profile', verifyToken, async (req, res) => {
   try {
     const [users] = await pool.execute(
-      'SELECT id, email, first_name, last_name, phone, created_at FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, phone, role, created_at FROM users WHERE id = ?',
       [req.user.userId]
     );
     
@@ -268,6 +646,89 @@ app.put('/api/profile', verifyToken, async (req, res) => {
   }
 });
 
+// Change a user's role (admins only). The user's sessions pick it up at their
+// next token refresh.
+app.put('/api/users/:userId/role', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    
+    if (userId === req.user.userId && role !== 'admin') {
+      return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+    }
+    
+    const [result] = await pool.execute(
+      'UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?',
+      [role, userId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`User ${userId} given role ${role} by admin ${req.user.userId}`);
+    
+    res.json({ message: 'Role updated', userId, role });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Lift a login lockout early (admins only)
+app.post('/api/users/:userId/unlock', requireAdmin, async (req, res) => {
+  try {
+    const [users] = await pool.execute('SELECT id, email FROM users WHERE id = ?', [req.params.userId]);
+    
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!redisClient.isReady) {
+      return res.status(503).json({ error: 'Login tracking is unavailable right now' });
+    }
+    
+    await unlockAccount(redisClient, users[0].email);
+    
+    console.log(`Login for user ${users[0].id} unlocked by admin ${req.user.userId}`);
+    
+    res.json({ message: 'Account unlocked', userId: users[0].id });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// Recent login attempts for a user's email address, newest first (admins only)
+app.get('/api/users/:userId/login-attempts', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 200);
+    
+    const [users] = await pool.execute('SELECT id, email FROM users WHERE id = ?', [req.params.userId]);
+    
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const [attempts] = await pool.query(
+      `SELECT id, ip_address, user_agent, outcome, created_at FROM login_attempts
+       WHERE email = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [users[0].email, limit]
+    );
+    
+    res.json({ userId: users[0].id, email: users[0].email, attempts });
+  } catch (error) {
+    console.error('Login attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -286,6 +747,7 @@ app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await redisClient.quit();
   await pool.end();
   process.exit(0);
 });
@@ -0,0 +1,143 @@
+// Failed-login tracking in Redis, shared by every user-service replica.
+//
+// Failures are counted per account (by email, whether or not it exists) and per
+// client IP. A counter runs until a whole window passes without a failure.
+// From LOGIN_DELAY_AFTER_FAILURES on, each failure makes the account wait
+// before the next try, doubling up to LOGIN_MAX_DELAY_SECONDS; at
+// LOGIN_LOCKOUT_AFTER_FAILURES the account is locked for LOGIN_LOCKOUT_MINUTES.
+// An IP with LOGIN_IP_MAX_FAILURES failures is turned away until its window ends.
+//
+// While Redis is unavailable logins are let through; the per-IP
+// express-rate-limit in app.js still applies.
+
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10) * 60;
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10);
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10);
+const LOCKOUT_AFTER_FAILURES = parseInt(process.env.LOGIN_LOCKOUT_AFTER_FAILURES || '10', 10);
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10) * 60;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '50', 10);
+
+function accountKeys(email) {
+  const account = String(email).trim().toLowerCase();
+  return {
+    failures: `login:failures:account:${account}`,
+    wait: `login:wait:account:${account}`,
+    lock: `login:lock:account:${account}`
+  };
+}
+
+function ipFailuresKey(ip) {
+  return `login:failures:ip:${ip}`;
+}
+
+// Whether a login may be tried now. Returns null if so, otherwise
+// { status, outcome, error, retryAfter } with retryAfter in seconds.
+async function checkLoginAllowed(redisClient, email, ip) {
+  if (!redisClient.isReady) return null;
+
+  const keys = accountKeys(email);
+
+  try {
+    const [lockSeconds, waitSeconds, ipFailures, ipSeconds] = await redisClient.multi()
+      .ttl(keys.lock)
+      .ttl(keys.wait)
+      .get(ipFailuresKey(ip))
+      .ttl(ipFailuresKey(ip))
+      .exec();
+
+    if (lockSeconds > 0) {
+      return {
+        status: 423,
+        outcome: 'locked',
+        error: 'This account is temporarily locked after too many failed logins',
+        retryAfter: lockSeconds
+      };
+    }
+
+    if (Number(ipFailures) >= IP_MAX_FAILURES) {
+      return {
+        status: 429,
+        outcome: 'throttled',
+        error: 'Too many failed logins from this address. Please try again later.',
+        retryAfter: Math.max(ipSeconds, 1)
+      };
+    }
+
+    if (waitSeconds > 0) {
+      return {
+        status: 429,
+        outcome: 'throttled',
+        error: `Too many failed logins. Please wait ${waitSeconds} seconds before trying again.`,
+        retryAfter: waitSeconds
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Login throttle check error:', error);
+    return null;
+  }
+}
+
+// Counts a failed login. Returns { locked: true } if it locked the account.
+async function recordLoginFailure(redisClient, email, ip) {
+  if (!redisClient.isReady) return { locked: false };
+
+  const keys = accountKeys(email);
+
+  try {
+    const [failures] = await redisClient.multi()
+      .incr(keys.failures)
+      .expire(keys.failures, FAILURE_WINDOW_SECONDS)
+      .incr(ipFailuresKey(ip))
+      .expire(ipFailuresKey(ip), FAILURE_WINDOW_SECONDS)
+      .exec();
+
+    if (failures >= LOCKOUT_AFTER_FAILURES) {
+      // Counting starts again once the lock runs out
+      await redisClient.multi()
+        .set(keys.lock, '1', { EX: LOCKOUT_SECONDS })
+        .del([keys.failures, keys.wait])
+        .exec();
+      return { locked: true };
+    }
+
+    if (failures >= DELAY_AFTER_FAILURES) {
+      const delay = Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+      await redisClient.set(keys.wait, '1', { EX: delay });
+    }
+
+    return { locked: false };
+  } catch (error) {
+    console.error('Login failure tracking error:', error);
+    return { locked: false };
+  }
+}
+
+// After a correct password the account's count starts over. The IP's does not,
+// so one good login cannot cover for guessing at other accounts.
+async function clearLoginFailures(redisClient, email) {
+  if (!redisClient.isReady) return;
+
+  const keys = accountKeys(email);
+
+  try {
+    await redisClient.del([keys.failures, keys.wait]);
+  } catch (error) {
+    console.error('Login failure reset error:', error);
+  }
+}
+
+// Lifts a lockout and any wait. Throws if Redis is unavailable, so the admin
+// who asked knows it did not happen.
+async function unlockAccount(redisClient, email) {
+  const keys = accountKeys(email);
+  return redisClient.del([keys.lock, keys.failures, keys.wait]);
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount
+};
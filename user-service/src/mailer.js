@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing account email over SMTP. In development SMTP_HOST points at the
+// MailHog sink (k8s-manifests/mail), which accepts everything and shows it in
+// its web UI instead of delivering it.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Ticket Booking <no-reply@ticket-booking.local>';
+
+// Links in emails open the frontend, which finishes the flow against the API
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:30080').replace(/\/$/, '');
+
+const transport = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'mailhog-service',
+  port: parseInt(process.env.SMTP_PORT || '1025', 10),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined
+});
+
+function sendVerificationEmail(user, token, ttlHours) {
+  const link = `${APP_BASE_URL}/?verify=${encodeURIComponent(token)}`;
+
+  return transport.sendMail({
+    from: MAIL_FROM,
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Confirm your email address to finish setting up your account:\n\n${link}\n\n` +
+      `The link works once and expires in ${ttlHours} hours.\n`
+  });
+}
+
+function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = `${APP_BASE_URL}/?reset=${encodeURIComponent(token)}`;
+
+  return transport.sendMail({
+    from: MAIL_FROM,
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.first_name},\n\n` +
+      `Someone asked to reset the password for this account. To choose a new one, open:\n\n${link}\n\n` +
+      `The link works once and expires in ${ttlMinutes} minutes. ` +
+      'If you did not ask for this, you can ignore this email.\n'
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Sign-in sessions. A login opens a session and hands out a short-lived access
+// token (a JWT the other services check on their own) and a refresh token,
+// which is only ever stored as a SHA-256 hash. Each refresh swaps the refresh
+// token for a new one; presenting a token that was already swapped means it
+// was copied, so the whole session is revoked.
+//
+// Revoking a session stops its refresh token at once. Access tokens already
+// issued stay valid elsewhere until they expire, which is why they are short.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The role rides in the token so other services can authorize without asking
+// here; a role change reaches a session at its next refresh.
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+async function issueRefreshToken(connection, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  await connection.execute(
+    'INSERT INTO refresh_tokens (session_id, token_hash, created_at, expires_at) VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  await connection.execute(
+    'UPDATE user_sessions SET last_used_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ?',
+    [REFRESH_TOKEN_TTL_DAYS, sessionId]
+  );
+
+  return refreshToken;
+}
+
+function tokenResponse(accessToken, refreshToken) {
+  return { token: accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+// Opens a session for a user who has just proved who they are
+async function createSession(pool, user, req) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO user_sessions (user_id, user_agent, ip_address, created_at, last_used_at, expires_at) VALUES (?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))',
+      [user.id, (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    const refreshToken = await issueRefreshToken(connection, result.insertId);
+
+    await connection.commit();
+
+    return tokenResponse(signAccessToken(user, result.insertId), refreshToken);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function revokeSession(executor, sessionId, reason) {
+  const [result] = await executor.execute(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+  return result.affectedRows;
+}
+
+async function revokeAllSessions(pool, userId, reason) {
+  const [result] = await pool.execute(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [reason, userId]
+  );
+  return result.affectedRows;
+}
+
+// Swaps a refresh token for a new pair. Returns the tokens, or { status, error }.
+async function rotateRefreshToken(pool, refreshToken) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [tokens] = await connection.execute(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at, s.revoked_at, s.user_id, u.email, u.role, u.status
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON rt.session_id = s.id
+       JOIN users u ON s.user_id = u.id
+       WHERE rt.token_hash = ?
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+
+    if (tokens.length === 0) {
+      await connection.rollback();
+      return { status: 401, error: 'Invalid refresh token' };
+    }
+
+    const token = tokens[0];
+
+    if (token.revoked_at) {
+      await connection.rollback();
+      return { status: 401, error: 'Session has been signed out' };
+    }
+
+    if (token.used_at) {
+      await revokeSession(connection, token.session_id, 'refresh_token_reuse');
+      await connection.commit();
+      console.warn(`Refresh token reuse for session ${token.session_id}; session revoked`);
+      return { status: 401, error: 'Refresh token has already been used. Please sign in again.' };
+    }
+
+    if (new Date(token.expires_at) <= new Date()) {
+      await connection.rollback();
+      return { status: 401, error: 'Refresh token has expired' };
+    }
+
+    if (token.status !== 'active') {
+      await revokeSession(connection, token.session_id, 'account_inactive');
+      await connection.commit();
+      return { status: 401, error: 'Account is inactive' };
+    }
+
+    await connection.execute('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [token.id]);
+    const nextRefreshToken = await issueRefreshToken(connection, token.session_id);
+
+    await connection.commit();
+
+    const accessToken = signAccessToken({ id: token.user_id, email: token.email, role: token.role }, token.session_id);
+    return tokenResponse(accessToken, nextRefreshToken);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// The session a refresh token belongs to, or null
+async function findSessionByRefreshToken(pool, refreshToken) {
+  const [tokens] = await pool.execute(
+    `SELECT s.id, s.user_id FROM refresh_tokens rt
+     JOIN user_sessions s ON rt.session_id = s.id
+     WHERE rt.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  return tokens[0] || null;
+}
+
+async function isSessionActive(pool, sessionId) {
+  const [sessions] = await pool.execute(
+    'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return sessions.length > 0;
+}
+
+async function countActiveSessions(pool) {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) AS count FROM user_sessions WHERE revoked_at IS NULL AND expires_at > NOW()'
+  );
+  return rows[0].count;
+}
+
+module.exports = {
+  JWT_SECRET,
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+  countActiveSessions
+};